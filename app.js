@@ -1,5 +1,30 @@
 'use strict';
 
+/**
+ * 字幕の１項目（音声認識結果１件分）
+ * @typedef {Object} SpeechEntry
+ * @property {string} transcript 認識された文字列
+ * @property {boolean} isFinal 確定済みならtrue
+ * @property {number} start 開始時刻（セッション開始からのミリ秒）
+ * @property {number} end 終了時刻（セッション開始からのミリ秒）
+ * @property {number} confidence 認識結果の信頼度（0～1。ブラウザが提供しない場合は0）
+ * @property {Array<{transcript:string, confidence:number}>} alternatives 第２候補以降の認識結果
+ * @property {'speech'|'manual'|'file'|'script'} source 字幕の入力元（音声認識、手動入力、字幕ファイル、台本）
+ * @property {string} [translation] 翻訳結果（翻訳しない場合や翻訳前は無し）
+ * @property {string} [originalTranscript] 修正前の文字列（字幕の一覧で修正した場合のみ）
+ * @property {string} [speaker] 話者名（話者を選んでいない場合は無し）
+ */
+
+/**
+ * 字幕表示用の断片（音声認識結果１件分の表示内容）
+ * @typedef {Object} CaptionSegment
+ * @property {string} text 表示する文字列
+ * @property {boolean} isFinal 確定済みならtrue
+ * @property {number} confidence 認識結果の信頼度（0～1。不明の場合は0）
+ * @property {string} [translation] 翻訳結果（確定済みで翻訳済みの場合のみ）
+ * @property {string} [speaker] 話者名（話者を選んでいない場合は無し）
+ */
+
 /**
  * 音声認識結果の現状と履歴をまとめて管理する
  */
@@ -12,20 +37,38 @@ class SpeechLog {
     /** @type {number} 現在の音声認識結果として表示可能な文字列の最大の長さ */
     this.maxCharacters = 300
 
-    /** @type {Array<SpeechRecognitionResult>} 音声認識が確定した文字列の配列 */
+    /** @type {Array<SpeechEntry>} 音声認識が確定した文字列の配列 */
     this.wholeLog = []
 
-    /** @type {Array<SpeechRecognitionResult>} 音声認識が確定した「現状の」結果の配列 */
+    /** @type {Array<SpeechEntry>} 音声認識が確定した「現状の」結果の配列 */
     this.currentResults = []
 
-    /** @type {Array<SpeechRecognitionResult>} 未確定の音声認識結果の配列 */
+    /** @type {Array<SpeechEntry>} 未確定の音声認識結果の配列 */
     this.interimResults = []
 
     /** @type {number} 音声認識が確定した最大のindex（開始前は-1） */
     this.indexFinished = -1
 
+    /** @type {number | null} セッション開始時刻（Date.now()の値。開始前はnull） */
+    this.sessionStart = null
+
+    /** @type {number | null} 現在の発話区間の開始時刻（セッション開始からのミリ秒。発話区間外はnull） */
+    this.segmentStart = null
+
     /** @type {(message:string) => void} ログ発生イベント処理関数（外側から設定する） */
     this.onLog = (onLog != null) ? onLog : (message) => {}
+
+    /** @type {(text:string) => string} 表示・出力する文字列の置換処理（置換辞書など。外側から設定する） */
+    this.textFilter = (text) => text
+
+    /**
+     * @type {(entry:SpeechEntry, replaced:SpeechEntry|null) => void} 字幕項目の確定イベント処理関数（翻訳や履歴保存など。外側から設定する）
+     * replacedは重複除去でentryに置き換えられた確定済みの項目（なければnull）
+     */
+    this.onEntryFinalized = (entry, replaced) => {}
+
+    /** @type {string} 現在の話者名（新しい字幕項目につける。空文字列なら話者なし。外側から設定する） */
+    this.speaker = ''
   }
 
   /** 
@@ -39,15 +82,49 @@ class SpeechLog {
     this.currentResults = []
     this.interimResults = []
     this.indexFinished = -1
+    this.segmentStart = null
     return
   }
 
+  /**
+   * セッションを開始する（字幕の時刻はセッション開始からの経過時間となる）。
+   * 既に開始済みの場合は何もしない。
+   * @param {number} time 開始時刻（Date.now()の値）
+   * @returns {boolean} trueなら今回セッションを開始した
+   */
+  beginSession(time = Date.now()) {
+    if (this.sessionStart != null) return false
+    this.sessionStart = time
+    return true
+  }
+
+  /**
+   * 時刻をセッション開始からの経過ミリ秒に変換する（未開始ならこの時点で開始する）。
+   * @param {number} time 時刻（Date.now()の値）
+   * @returns {number} セッション開始からの経過ミリ秒
+   */
+  _elapsed(time) {
+    this.beginSession(time)
+    return Math.max(time - this.sessionStart, 0)
+  }
+
+  /**
+   * 発話の開始を記録する（onspeechstartで実行する）。
+   * @param {number} time 発話開始時刻（Date.now()の値）
+   */
+  markSpeechStart(time = Date.now()) {
+    if (this.segmentStart == null) {
+      this.segmentStart = this._elapsed(time)
+    }
+  }
+
   /**
    * 音声認識結果により内部状態を更新する。
    * @param {SpeechRecognitionEvent} result
+   * @param {number} time 結果の受信時刻（Date.now()の値）
    * @return {boolean} 変更の有無（変更があった場合true）
    */
-  update(result) {
+  update(result, time = Date.now()) {
     if (this.indexFinished >= result.resultIndex) {
       this.onLog(`[warning] resultIndex(${result.resultIndex}) is no more than finished(${this.indexFinished})`)
     }
@@ -55,7 +132,8 @@ class SpeechLog {
     const results = this._extractUpdate(result)
     if (results.length < 1) return false
     this.interimResults = []
-    results.forEach(r => this._pushUpdate(r))
+    const elapsed = this._elapsed(time)
+    results.forEach(r => this._pushUpdate(r, elapsed))
     return true
   }
 
@@ -90,25 +168,102 @@ class SpeechLog {
   /**
    * 音声認識結果を追加する。
    * @param {SpeechRecognitionResult} result 
+   * @param {number} elapsed 結果の受信時刻（セッション開始からのミリ秒）
    */
-  _pushUpdate(result) {
+  _pushUpdate(result, elapsed) {
+    // 発話区間の開始時刻（onspeechstartが来ていない場合は最初の結果の時刻で代用）
+    if (this.segmentStart == null) {
+      this.segmentStart = elapsed
+    }
+    /** @type {SpeechEntry} */
+    const entry = {
+      transcript: result[0].transcript,
+      isFinal: result.isFinal,
+      start: this.segmentStart,
+      end: elapsed,
+      confidence: this._getConfidence(result[0]),
+      alternatives: [],
+      source: 'speech'
+    }
+    this._tagSpeaker(entry)
+    for (let ix=1 ; ix<result.length ; ix++) {
+      entry.alternatives.push({
+        transcript: result[ix].transcript,
+        confidence: this._getConfidence(result[ix])
+      })
+    }
     if (result.isFinal) {
       // 確定部分の処理（AndroidのChromeで内容が重複するので除去）
       const last = this.getLastItem(this.currentResults)
-      if (last != null && result[0].transcript.startsWith(last[0].transcript)) {
-        this.currentResults.pop()
+      let replaced = null
+      if (last != null && entry.transcript.startsWith(last.transcript)) {
+        replaced = this.currentResults.pop()
+        entry.start = Math.min(entry.start, last.start)
       }
-      this.currentResults.push(result)
+      this.currentResults.push(entry)
+      this._trimCurrentResults()
+      // 確定したら次の発話区間はここから始まる
+      this.segmentStart = null
+      this.onEntryFinalized(entry, replaced)
     } else {
       // 未確定部分の処理（未確定部分は普通１件だとは思うが一応全部連結）
       // const last = getLastItem(this.interimResults)
       // if (last != null && result[0].transcript.startsWith(last[0].transcript)) {
       //   this.interimResults.pop()
       // }
-      this.interimResults.push(result)
+      this.interimResults.push(entry)
+    }
+  }
+
+  /**
+   * 手動入力された文字列を確定結果として追加する。
+   * 開始時刻は入力開始時（markSpeechStartを実行した時点）、終了時刻は追加時点とする。
+   * @param {string} text 入力された文字列
+   * @param {number} time 確定した時刻（Date.now()の値）
+   * @param {'manual'|'file'|'script'} source 字幕の入力元（手動入力、字幕ファイル、台本）
+   * @returns {boolean} trueなら追加した（空文字列の場合は追加しない）
+   */
+  addManualEntry(text, time = Date.now(), source = 'manual') {
+    if (this.isString(text) !== true || text.trim().length < 1) return false
+    const elapsed = this._elapsed(time)
+    /** @type {SpeechEntry} */
+    const entry = {
+      transcript: text.trim(),
+      isFinal: true,
+      start: (this.segmentStart != null) ? this.segmentStart : elapsed,
+      end: elapsed,
+      confidence: 1, // 人が入力（または用意）したものなので確実とみなす
+      alternatives: [],
+      source: source
+    }
+    this._tagSpeaker(entry)
+    this.currentResults.push(entry)
+    this._trimCurrentResults()
+    this.segmentStart = null
+    this.onEntryFinalized(entry, null)
+    return true
+  }
+
+  /**
+   * 字幕項目に現在の話者名をつける（話者なしの場合は何もしない）。
+   * @param {SpeechEntry} entry 字幕項目
+   */
+  _tagSpeaker(entry) {
+    if (this.isString(this.speaker) && this.speaker.length > 0) {
+      entry.speaker = this.speaker
     }
   }
 
+  /**
+   * 認識結果の候補から信頼度を取り出す（数値でなければ0）。
+   * @param {SpeechRecognitionAlternative} alternative 認識結果の候補
+   * @returns {number} 信頼度
+   */
+  _getConfidence(alternative) {
+    const confidence = alternative.confidence
+    return (typeof confidence === 'number' && isFinite(confidence)) ? confidence : 0
+  }
+
   /**
    * 音声認識結果から、今回更新されたもののうち、有効なものを抽出する。
    * あわせて、indexFinishedの値を更新する。
@@ -140,18 +295,17 @@ class SpeechLog {
 
   /**
    * 現状の結果配列を走査し、音声認識結果を連結した文字数が最大値以下に収まるように、
-   * 古い結果を削除する。
+   * 古い結果を履歴に移す（最新の結果は最大値を超えても残す）。
    */
   _trimCurrentResults() {
     let sum = 0
     let ix = this.currentResults.length-1
     for ( ; ix>=0 ; ix--) {
-      sum += this.currentResults[ix][0].transcript.length
-      // 所定の文字数を超過したら、ここまでの結果を「現状の結果配列」から除去
+      sum += this.currentResults[ix].transcript.length
+      // 所定の文字数を超過したら、ここまでの結果を「現状の結果配列」から履歴に移す
       if (sum > this.maxCharacters) {
-        for (let i=0 ; i<=ix ; i++) {
-          this.currentResults.shift()
-        }
+        const count = Math.min(ix + 1, this.currentResults.length - 1)
+        this.wholeLog.push(...this.currentResults.splice(0, count))
         break
       }
     }
@@ -180,15 +334,41 @@ class SpeechLog {
    */
   getCurrentSpeech() {
     let text = ''
+    this.getCurrentSegments().forEach((segment) => {
+      text += segment.text
+    })
+    return text
+  }
+
+  /**
+   * 現在の音声認識結果を、表示用の断片の配列として取得する。
+   * @returns {Array<CaptionSegment>} 現在の音声認識結果（確定分、未確定分の順）
+   */
+  getCurrentSegments() {
+    /** @type {Array<CaptionSegment>} */
+    const segments = []
     this.currentResults.forEach((r) => {
-      let newText = r[0].transcript
-      text += this._addPunctuationIfNotExists(newText)
+      let newText = this.textFilter(r.transcript)
+      /** @type {CaptionSegment} */
+      const segment = { text: this._addPunctuationIfNotExists(newText), isFinal: true, confidence: r.confidence }
+      if (r.translation != null) {
+        segment.translation = this.textFilter(r.translation)
+      }
+      if (r.speaker != null) {
+        segment.speaker = r.speaker
+      }
+      segments.push(segment)
     })
     this.interimResults.forEach((r) => {
-      let newText = r[0].transcript
-      text += newText
+      let newText = this.textFilter(r.transcript)
+      /** @type {CaptionSegment} */
+      const segment = { text: newText, isFinal: false, confidence: r.confidence }
+      if (r.speaker != null) {
+        segment.speaker = r.speaker
+      }
+      segments.push(segment)
     })
-    return text
+    return segments
   }
 
   /**
@@ -199,855 +379,6742 @@ class SpeechLog {
     /** @type {Array<string>} 字幕ログ */
     const log = []
     this.onLog(`wholeLog(${this.wholeLog.length})`)
-    this.wholeLog.forEach((r) => {
-      let newText = r[0].transcript
-      log.push(this._addPunctuationIfNotExists(newText)+'\n')
-    })
-    this.currentResults.forEach((r) => {
-      let newText = r[0].transcript
-      log.push(this._addPunctuationIfNotExists(newText)+'\n')
-    })
-    this.interimResults.forEach((r) => {
-      let newText = r[0].transcript
+    let lastSpeaker = null
+    const pushEntry = (r) => {
+      let newText = this.textFilter(r.transcript)
+      // 話者が変わったところで話者名を示す
+      const speaker = (r.speaker != null) ? r.speaker : ''
+      if (speaker !== lastSpeaker && speaker.length > 0) {
+        newText = `【${speaker}】${newText}`
+      }
+      lastSpeaker = speaker
       log.push(this._addPunctuationIfNotExists(newText)+'\n')
-    })
+      // 第２候補以降があれば、確認用に次の行へ残す
+      if (r.alternatives != null && r.alternatives.length > 0) {
+        log.push(`　（候補：${r.alternatives.map(a => this.textFilter(a.transcript)).join(' / ')}）\n`)
+      }
+      if (r.translation != null) {
+        log.push(`　（訳：${this.textFilter(r.translation)}）\n`)
+      }
+    }
+    this.wholeLog.forEach(pushEntry)
+    this.currentResults.forEach(pushEntry)
+    this.interimResults.forEach(pushEntry)
     return log
   }
-} // SpeechLogクラスの終端
 
+  /**
+   * これまでの全ての字幕項目を、時刻つきで一括取得する（未確定部分も含む）。
+   * 文字列には置換処理を適用済みとする。
+   * @param {number} time 取得時刻（Date.now()の値。未確定部分の終了時刻として使う）
+   * @returns {Array<SpeechEntry>} 字幕項目の配列（内部の配列とは別のコピー）
+   */
+  getWholeEntries(time = Date.now()) {
+    const elapsed = this._elapsed(time)
+    const entries = []
+    this.wholeLog.forEach(r => entries.push(this._filterEntry(r)))
+    this.currentResults.forEach(r => entries.push(this._filterEntry(r)))
+    this.interimResults.forEach(r => entries.push({...this._filterEntry(r), end: elapsed}))
+    return entries
+  }
 
-/**
- * 音声認識オブジェクトを管理するクラス
- */
-class SpeechRecognizerOptions {
-  constructor() {
-    /** @type {SpeechLog} 音声認識結果の管理クラス */
-    this.speechLog = null
-    /** @type {(text:string) => void} 字幕更新イベント処理関数（外側から設定する） */
-    this.onUpdated = (text) => {}
-    /** @type {(message:string) => void} 致命的なエラー発生イベント処理関数（外側から設定する） */
-    this.onCritical = (message) => {}
-    /** @type {(message:string) => void} ログ発生イベント処理関数（外側から設定する） */
-    this.onLog = (message) => {}
+  /**
+   * 全ての字幕項目を取得する（確定済み、現状、未確定の順）。
+   * @returns {Array<SpeechEntry>} 字幕項目の配列（配列は別のコピーだが、要素は内部の字幕項目そのもの）
+   */
+  getAllEntries() {
+    return [...this.wholeLog, ...this.currentResults, ...this.interimResults]
   }
-}
+
+  /**
+   * 確定済みの字幕項目の文字列を修正する（最初の修正前の文字列はoriginalTranscriptに残す）。
+   * 修正後の文字列は字幕表示やダウンロードにそのまま使われる。
+   * @param {SpeechEntry} entry 修正する字幕項目（getAllEntriesで取得したもの）
+   * @param {string} text 修正後の文字列
+   * @returns {boolean} trueなら修正した（未確定の項目や空文字列の場合は修正しない）
+   */
+  correctEntry(entry, text) {
+    if (this.isString(text) !== true || text.trim().length < 1) return false
+    if (this.wholeLog.includes(entry) !== true && this.currentResults.includes(entry) !== true) return false
+    if (entry.originalTranscript == null) {
+      entry.originalTranscript = entry.transcript
+    }
+    entry.transcript = text.trim()
+    this.onLog(`correctEntry : ${entry.originalTranscript} -> ${entry.transcript}`)
+    return true
+  }
+
+  /**
+   * 字幕項目のコピーに置換処理を適用する。
+   * @param {SpeechEntry} entry 字幕項目
+   * @returns {SpeechEntry} 置換処理を適用した字幕項目のコピー
+   */
+  _filterEntry(entry) {
+    const alternatives = (entry.alternatives != null) ? entry.alternatives : []
+    const filtered = {
+      ...entry,
+      transcript: this.textFilter(entry.transcript),
+      alternatives: alternatives.map(a => ({ ...a, transcript: this.textFilter(a.transcript) }))
+    }
+    // 修正前の文字列や翻訳結果にも伏せ字などの置換処理を適用する
+    if (entry.originalTranscript != null) {
+      filtered.originalTranscript = this.textFilter(entry.originalTranscript)
+    }
+    if (entry.translation != null) {
+      filtered.translation = this.textFilter(entry.translation)
+    }
+    return filtered
+  }
+} // SpeechLogクラスの終端
+
 
 /**
- * 音声認識オブジェクトを管理する
+ * 字幕項目を字幕ファイル（SRT、WebVTT）の形式に変換する
  */
-class SpeechRecognizer {
+class SubtitleFormatter {
+  /** @type {number} 字幕１件の最短表示時間（ミリ秒） */
+  static MIN_DURATION = 1000
+
   /**
-   * コンストラクタ
-   * @param {SpeechRecognizerOptions} options
+   * ミリ秒を「時:分:秒[区切り]ミリ秒」形式の文字列にする。
+   * @param {number} ms ミリ秒
+   * @param {string} separator 秒とミリ秒の区切り（SRTは','、WebVTTは'.'）
+   * @returns {string} 時刻文字列（例：00:01:02,345）
    */
-  constructor(options = undefined) {
-    /**
-     * @type {SpeechRecognition | webkitSpeechRecognition | null | undefined} 
-     * 音声認識オブジェクト。
-     * 初期化前はundefined
-     * 初期化後は適切なオブジェクトまたはnull（ブラウザが音声認識不可能な場合など） 
-     */
-    this.recognizer = undefined
+  static formatTime(ms, separator) {
+    const total = Math.max(Math.round(ms), 0)
+    const hours = Math.floor(total / 3600000)
+    const minutes = Math.floor(total / 60000) % 60
+    const seconds = Math.floor(total / 1000) % 60
+    const millis = total % 1000
+    const pad = (n, len) => n.toString().padStart(len, '0')
+    return `${pad(hours,2)}:${pad(minutes,2)}:${pad(seconds,2)}${separator}${pad(millis,3)}`
+  }
 
-    /** @type {boolean} 音声認識開始後で音声処理が可能かを示す（Chromium系ブラウザの多くのように音声認識オブジェクトはあるが実際にはできない場合、どうやらonaudiostartの後でエラーとなりonspeechstartができないようなので、その検出に利用） */
-    this.isSpeechAvailable = false
+  /**
+   * 字幕項目から、字幕ファイル用の「開始・終了・文字列」を抽出する。
+   * 空の項目は除き、表示時間が短すぎる項目は最短表示時間まで延ばす。
+   * 翻訳結果がある場合は、原文の次の行に置く。
+   * @param {Array<SpeechEntry>} entries 字幕項目の配列
+   * @returns {Array<{start:number, end:number, text:string, speaker:string, alternatives:Array<{transcript:string, confidence:number}>}>} 字幕ファイル用の項目の配列（話者なしならspeakerは空文字列）
+   */
+  static _toCues(entries) {
+    const cues = []
+    entries.forEach(e => {
+      // 字幕ファイルでは「-->」と空行が特別な意味を持つので除去
+      const sanitize = (t) => t.replaceAll('-->', '→').replace(/\n\s*\n/g, '\n').trim()
+      let text = sanitize(e.transcript)
+      if (text.length < 1) return
+      if (e.translation != null && sanitize(e.translation).length > 0) {
+        text += '\n' + sanitize(e.translation)
+      }
+      const end = Math.max(e.end, e.start + SubtitleFormatter.MIN_DURATION)
+      const alternatives = (e.alternatives != null) ? e.alternatives : []
+      const speaker = (e.speaker != null) ? sanitize(e.speaker).replace(/\s+/g, ' ') : ''
+      cues.push({ start: e.start, end: end, text: text, speaker: speaker, alternatives: alternatives })
+    })
+    return cues
+  }
 
-    /** @type {boolean} 音声認識が使える（と考えられる）場合はtrue */
-    this.available = true // とりあえず最初はtrueとしておく
+  /**
+   * 字幕項目をSRT形式の文字列にする。
+   * @param {Array<SpeechEntry>} entries 字幕項目の配列
+   * @returns {string} SRT形式の文字列
+   */
+  static toSrt(entries) {
+    let text = ''
+    SubtitleFormatter._toCues(entries).forEach((cue, ix) => {
+      text += `${ix+1}\n`
+      text += `${SubtitleFormatter.formatTime(cue.start, ',')} --> ${SubtitleFormatter.formatTime(cue.end, ',')}\n`
+      // SRTには話者の書式がないので、先頭に話者名を置く
+      const speaker = (cue.speaker.length > 0) ? `[${cue.speaker}] ` : ''
+      text += `${speaker}${cue.text}\n\n`
+    })
+    return text
+  }
 
-    /** @type {SpeechLog} 音声認識結果を管理するオブジェクト */
-    this.speechLog = (options.speechLog != null) ? options.speechLog : new SpeechLog()
+  /**
+   * 字幕項目をWebVTT形式の文字列にする。
+   * @param {Array<SpeechEntry>} entries 字幕項目の配列
+   * @returns {string} WebVTT形式の文字列
+   */
+  static toVtt(entries) {
+    let text = 'WEBVTT\n\n'
+    SubtitleFormatter._toCues(entries).forEach((cue, ix) => {
+      // 第２候補以降はNOTEとして残す（表示はされない）
+      if (cue.alternatives.length > 0) {
+        const alternatives = cue.alternatives.map(a => a.transcript.replaceAll('-->', '→')).join(' / ')
+        text += `NOTE 候補：${alternatives}\n\n`
+      }
+      text += `${ix+1}\n`
+      text += `${SubtitleFormatter.formatTime(cue.start, '.')} --> ${SubtitleFormatter.formatTime(cue.end, '.')}\n`
+      // 話者はWebVTTの声タグ（<v 話者名>）で示す
+      const speaker = (cue.speaker.length > 0) ? `<v ${cue.speaker.replace(/[<>&]/g, '')}>` : ''
+      text += `${speaker}${cue.text}\n\n`
+    })
+    return text
+  }
 
-    /** @type {(text:string) => void} 音声認識結果に更新があった場合のイベント処理関数 */
-    this.onUpdated = (options.onUpdated != null) ? options.onUpdated : (text) => {}
+  /**
+   * 「時:分:秒[区切り]ミリ秒」形式（WebVTTでは時を省略可）の文字列をミリ秒にする。
+   * @param {string} text 時刻文字列（例：00:01:02,345、01:02.345）
+   * @returns {number|null} ミリ秒（形式が誤っていればnull）
+   */
+  static parseTime(text) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/.exec(text.trim())
+    if (match == null) return null
+    const hours = Number(match[1] ?? 0)
+    const minutes = Number(match[2])
+    const seconds = Number(match[3])
+    const millis = Number(match[4].padEnd(3, '0'))
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000 + millis
+  }
 
-    /** @type {(message:string) => void} 致命的なエラー発生イベント処理関数 */
-    this.onCritical = (options.onCritical != null) ? options.onCritical : (text) => {}
+  /**
+   * SRTまたはWebVTT形式の文字列から字幕を取り出す。
+   * 時刻の行がないブロック（WebVTTのヘッダー、NOTE、STYLEなど）は無視し、書式のタグは除く。
+   * @param {string} text 字幕ファイルの内容
+   * @returns {Array<{start:number, end:number, text:string}>} 字幕の配列（開始時刻順）
+   */
+  static parse(text) {
+    const cues = []
+    const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+    blocks.forEach(block => {
+      const lines = block.split('\n')
+      const timeIndex = lines.findIndex(line => line.includes('-->'))
+      if (timeIndex < 0) return
+      const times = /^\s*(\S+)\s+-->\s+(\S+)/.exec(lines[timeIndex])
+      if (times == null) return
+      const start = SubtitleFormatter.parseTime(times[1])
+      const end = SubtitleFormatter.parseTime(times[2])
+      if (start == null || end == null) return
+      const body = lines.slice(timeIndex + 1).join('\n')
+        .replace(/<[^>]*>/g, '')
+        .replaceAll('&lt;', '<').replaceAll('&gt;', '>').replaceAll('&nbsp;', ' ').replaceAll('&amp;', '&')
+        .trim()
+      if (body.length < 1) return
+      cues.push({ start: start, end: Math.max(end, start), text: body })
+    })
+    return cues.sort((a, b) => a.start - b.start)
+  }
 
-    /** @type {(message:string) => void} ログ出力時のイベント処理関数 */
-    this.onLog = (options.onLog != null) ? options.onLog : (text) => {}
+  /**
+   * 字幕項目を、信頼度や第２候補以降も含めたJSON形式の文字列にする。
+   * @param {Array<SpeechEntry>} entries 字幕項目の配列
+   * @returns {string} JSON形式の文字列
+   */
+  static toJson(entries) {
+    return JSON.stringify({ entries: entries }, null, 2)
   }
+} // SubtitleFormatterクラスの終端
 
-  init() {
-    // ２回以上の呼び出しはできない
-    if (this.recognizer !== undefined) return this.available
 
-    // 音声認識オブジェクトの生成（Firefoxのようにエンジンレベルで非対応だと生成できない）
-    if ('SpeechRecognition' in window) {
-      this.onLog('SpeechRecognition found.')
-      this.recognizer = new SpeechRecognition()
-      this.available = true
-    } else if ('webkitSpeechRecognition' in window) {
-      this.onLog('webkitSpeechRecognition found.')
-      this.recognizer = new webkitSpeechRecognition()
-      this.available = true
-    } else {
-      this.onLog('SpeechRecognition not found.')
-      this.recognizer = null
-      this.available = false
-      return false // 作れないのでここで終わり
-    }
+/**
+ * 字幕の文字列を、表示幅に収まる行に分割する（日本語の禁則処理つき）
+ */
+class CaptionLineBreaker {
+  /** @type {string} 行頭に置かない文字（句読点、閉じ括弧、小書きの仮名、長音記号など） */
+  static NO_LINE_START = '、。，．,.：:；;？?！!）)」』】〕〉》］]｝}’”ー―〜～ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶ・ヽヾゝゞ々'
 
-    // 最低限のパラメータ設定
-    this.recognizer.continuous = true
-    this.recognizer.interimResults = true
-    this.recognizer.lang = navigator.language // デフォルト言語はブラウザの言語とする
+  /** @type {string} 行末に置かない文字（開き括弧） */
+  static NO_LINE_END = '（(「『【〔〈《［[｛{‘“'
 
-    // イベント処理
-    this.recognizer.onstart = () => { this.onLog('onstart') }
-    this.recognizer.onaudiostart = () => { this.onLog('onaudiostart') }
-    this.recognizer.onsoundstart = () => { this.onLog('onsoundstart') }
-    this.recognizer.onspeechstart = () => {
-      this.onLog('onspeechstart')
-      this.isSpeechAvailable = true // onspeechstartできれば音声認識できる模様（例えばVivaldiはここに到達できない）
-    }
-    this.recognizer.onspeechend = () => { this.onLog('onspeechend') }
-    this.recognizer.onsoundend = () => { this.onLog('onsoundend') }
-    this.recognizer.onaudioend = () => { this.onLog('onaudioend') }
-    this.recognizer.onend = () => {
-      this.onLog('onend')
-      this.speechLog.reset()
-      // 無音が続くと音声認識が終了するので、自動的に再開
-      if (this.available) {
-        this.start()
+  /**
+   * 文字列を行に分割する。改行文字では必ず改行する。
+   * 行頭禁則の文字や行末禁則の文字で区切りそうな場合は、前の文字ごと次の行に送る（追い出し）。
+   * 英数字の単語の途中では区切らず、行内の空白の後で改行する。
+   * @param {string} text 文字列
+   * @param {number} width 行の幅
+   * @param {(text:string) => number} measure 文字列の表示幅を返す関数
+   * @returns {Array<{start:number, end:number}>} 各行の範囲（文字列中の位置。endは含まない）
+   */
+  static breakLines(text, width, measure) {
+    if (typeof text !== 'string' || text.length < 1) return []
+    const chars = Array.from(text) // サロゲートペアを１文字として扱う
+    /** @type {Array<number>} 各文字の文字列中の位置（末尾に文字列の長さを追加） */
+    const offsets = []
+    let offset = 0
+    chars.forEach(ch => {
+      offsets.push(offset)
+      offset += ch.length
+    })
+    offsets.push(offset)
+
+    const lines = []
+    let lineStart = 0
+    for (let ix=0 ; ix<chars.length ; ix++) {
+      if (chars[ix] === '\n') {
+        lines.push({ start: offsets[lineStart], end: offsets[ix] })
+        lineStart = ix + 1
+        continue
       }
-    }
-    this.recognizer.onerror = (ev) => {
-      window.speechRecognizerError = ev
-      this.onLog(`onerror(${ev.error}) detail:${JSON.stringify(ev)} msg:${ev.message}`)
-      // start後、onspeechstartせずエラーになる場合は音声認識非対応ブラウザとみなす。
-      // ただしno-speech（音声が入らない場合）などは別問題としておく。
-      if (this.isSpeechAvailable !== true 
-        && ev.error !== 'no-speech' && ev.error !== 'aborted') 
-      {
-        this.available = false
-        this.onLog('this browser seems Speech-Recognition-Not-Available because error before onspeechstart.')
-        this.onCritical(`エラー種別:${ev.error} (${ev.message})`)
+      if (ix > lineStart && measure(text.substring(offsets[lineStart], offsets[ix+1])) > width) {
+        const breakAt = CaptionLineBreaker._findBreak(chars, lineStart, ix)
+        lines.push({ start: offsets[lineStart], end: offsets[breakAt] })
+        lineStart = breakAt
+        // 行頭の空白は詰める
+        while (lineStart <= ix && chars[lineStart] === ' ') {
+          lineStart++
+        }
       }
-      // 継続可能な場合はonendに到達して自動的に再開を試みるはずなので何もしない。
     }
-    this.recognizer.onnomatch = () => {
-      this.onLog('onnomatch')
-      // そのままonendに到達して自動的に再開を試みるはずなので何もしない。
+    lines.push({ start: offsets[lineStart], end: offsets[chars.length] })
+    return lines
+  }
+
+  /**
+   * 改行位置を決める。
+   * @param {Array<string>} chars 文字の配列
+   * @param {number} lineStart 行の先頭の文字の位置
+   * @param {number} overflow 行に収まらなかった文字の位置
+   * @returns {number} 次の行の先頭にする文字の位置（lineStartより大きく、overflow以下）
+   */
+  static _findBreak(chars, lineStart, overflow) {
+    let breakAt = overflow
+    while (breakAt > lineStart + 1
+    && (CaptionLineBreaker.NO_LINE_START.includes(chars[breakAt]) || CaptionLineBreaker.NO_LINE_END.includes(chars[breakAt-1]))) {
+      breakAt--
     }
-    this.recognizer.onresult = (ev) => {
-      if (this.speechLog.update(ev)) {
-        let caption = this.speechLog.getCurrentSpeech()
-        this.onUpdated(caption)
+    const isWordChar = (ch) => /^[A-Za-z0-9'\-]$/.test(ch)
+    if (isWordChar(chars[breakAt-1]) && isWordChar(chars[breakAt])) {
+      for (let ix=breakAt-1 ; ix>lineStart ; ix--) {
+        if (chars[ix] === ' ') return ix + 1
       }
     }
-
-    return true
-  } // init()の終端
-
-  start() {
-    this.onLog('SpeechRecognizer.start() begins.')
-    if (this.available !== true || this.recognizer == null) return false
-    this.speechLog.reset()
-    this.recognizer.start()
-    return true
+    return breakAt
   }
-} // SpeechRecognizerクラスの終端
-
-
-/*
- ========== ========== ========== ========== ========== ==========
- 起動時設定
- ========== ========== ========== ========== ========== ==========
-*/
-window.addEventListener('DOMContentLoaded', (ev) => {
+} // CaptionLineBreakerクラスの終端
 
-  const MY_NAME = 'CaptionCam'
-  const STORAGE_KEY = MY_NAME + '/config'
 
-  const FONT_SIZE_MAX = 20
-  const FONT_SIZE_MIN = 3
-  const LINE_HEIGHT_MAX = 200
-  const LINE_HEIGHT_MIN = 100
+/**
+ * 字幕ファイル（SRT、WebVTT）の字幕を、再生位置にあわせて時刻どおりに送り出す
+ */
+class SubtitlePlayer {
+  /** @type {number} 再生中に字幕の時刻を確かめる間隔（ミリ秒） */
+  static TICK_INTERVAL = 100
 
-  /** @type {number} SpeechRecognitionオブジェクト生成から音声認識開始までの待ち時間 */
-  const WAIT_SPEECH_RECOGNITION = location.hash.toLowerCase() === '#app' ? 2000 : 10
-  // WebView2だと、これを1000msec程度は確保しないと失敗する模様。
-  // このため、WebView2に与えるURLは「#app」をつけることとして区別する。
-  // 通常のブラウザでは、このような待ち時間は本来不要と思われる。
+  constructor() {
+    /** @type {Array<{start:number, end:number, text:string}>} 字幕の配列（開始時刻順） */
+    this.cues = []
+    /** @type {number} 字幕の時刻のずれ（ミリ秒。正なら字幕を遅らせる） */
+    this.offset = 0
+    /** @type {number} 停止中の再生位置（ミリ秒） */
+    this.position = 0
+    /** @type {number} 再生中の、再生位置0に相当する時刻（Date.now()の値） */
+    this.startedAt = 0
+    /** @type {number} 次に送り出す字幕の位置 */
+    this.nextIndex = 0
+    /** @type {number|null} 再生中のタイマーID（停止中はnull） */
+    this.timerId = null
+
+    /** @type {(cue:{start:number, end:number, text:string}) => void} 字幕の表示時刻になった時のイベント処理関数（外側から設定する） */
+    this.onCue = (cue) => {}
+    /** @type {() => void} 再生位置が変わった時（再生中は定期的）のイベント処理関数（外側から設定する） */
+    this.onTimeUpdate = () => {}
+    /** @type {() => void} 末尾まで再生して停止した時のイベント処理関数（外側から設定する） */
+    this.onEnded = () => {}
+  }
 
-  /** @type {Array<string>} ログ */
-  const logMessages = []
+  /**
+   * 字幕を読み込み、再生位置を先頭に戻す（再生中なら停止する）。
+   * @param {Array<{start:number, end:number, text:string}>} cues 字幕の配列
+   */
+  load(cues) {
+    this.pause()
+    this.cues = [...cues].sort((a, b) => a.start - b.start)
+    this.position = 0
+    this.nextIndex = 0
+    this.onTimeUpdate()
+  }
 
   /**
-   * ログを出力する。
-   * @param {string} message ログメッセージ
+   * 再生時間（最後の字幕の終了時刻にずれを加えたもの）を返す。
+   * @returns {number} 再生時間（ミリ秒）
    */
-  function log(message) {
-    let ts = new Date()
-    let msg = ts.toISOString() + " " + message
-    console.log(msg)
-    logMessages.push(msg+"\n")
+  getDuration() {
+    const end = this.cues.reduce((max, cue) => Math.max(max, cue.end), 0)
+    return Math.max(end + this.offset, 0)
   }
 
   /**
-   * 引数が有限の数値か判定する。
-   * https://zero-plus-one.jp/javascript/isnumber/
-   * @param {any} value 判定対象
-   * @returns {boolean} trueなら数値
+   * 現在の再生位置を返す。
+   * @returns {number} 再生位置（ミリ秒）
    */
-  function isNumber(value) {
-    return (typeof value === 'number') && isFinite(value)
+  getTime() {
+    return this.isPlaying() ? Date.now() - this.startedAt : this.position
   }
 
   /**
-   * ブラウザ表示領域が縦長か判定する。
-   * @returns {boolean} trueなら縦長
+   * @returns {boolean} 再生中ならtrue
    */
-  function isPortrait() {
-    return window.innerHeight > window.innerWidth
+  isPlaying() {
+    return this.timerId != null
+  }
+
+  /**
+   * 再生を開始する（末尾で停止している場合は先頭から再生する）。
+   */
+  play() {
+    if (this.isPlaying() || this.cues.length < 1) return
+    if (this.position >= this.getDuration()) {
+      this.position = 0
+      this.nextIndex = 0
+    }
+    this.startedAt = Date.now() - this.position
+    this.timerId = setInterval(() => { this._tick() }, SubtitlePlayer.TICK_INTERVAL)
+    this._tick()
+  }
+
+  /**
+   * 再生を一時停止する。
+   */
+  pause() {
+    if (this.isPlaying() !== true) return
+    this.position = this.getTime()
+    clearInterval(this.timerId)
+    this.timerId = null
+    this.onTimeUpdate()
+  }
+
+  /**
+   * 再生位置を変更する。変更先で表示中となる字幕があれば、すぐに送り出す。
+   * @param {number} time 再生位置（ミリ秒）
+   */
+  seek(time) {
+    const position = Math.min(Math.max(time, 0), this.getDuration())
+    if (this.isPlaying()) {
+      this.startedAt = Date.now() - position
+    } else {
+      this.position = position
+    }
+    // 変更先より前に終わる字幕は送り出さない
+    this.nextIndex = this.cues.findIndex(cue => cue.end + this.offset > position)
+    if (this.nextIndex < 0) this.nextIndex = this.cues.length
+    this._emitCues(position)
+    this.onTimeUpdate()
+  }
+
+  /**
+   * 字幕の時刻のずれを設定する。現在の再生位置で表示中となる字幕があれば、すぐに送り出す。
+   * @param {number} offset ずれ（ミリ秒。正なら字幕を遅らせる）
+   */
+  setOffset(offset) {
+    const time = this.getTime()
+    this.offset = offset
+    this.seek(time)
+  }
+
+  /**
+   * 再生位置までに表示時刻となった字幕を送り出す。
+   * @param {number} time 再生位置（ミリ秒）
+   */
+  _emitCues(time) {
+    while (this.nextIndex < this.cues.length && this.cues[this.nextIndex].start + this.offset <= time) {
+      this.onCue(this.cues[this.nextIndex])
+      this.nextIndex++
+    }
+  }
+
+  /**
+   * 再生中に定期的に呼ばれ、字幕を送り出す（末尾まで再生したら停止する）。
+   */
+  _tick() {
+    const time = this.getTime()
+    this._emitCues(time)
+    if (time >= this.getDuration()) {
+      this.pause()
+      this.position = this.getDuration()
+      this.onTimeUpdate()
+      this.onEnded()
+      return
+    }
+    this.onTimeUpdate()
+  }
+} // SubtitlePlayerクラスの終端
+
+
+/**
+ * 置換辞書の規則
+ * @typedef {Object} ReplacementRule
+ * @property {'text'|'regex'|'mask'} type 規則の種類（通常の文字列、正規表現、伏せ字）
+ * @property {string} from 置換対象（maskの場合は伏せ字にする語）
+ * @property {string} to 置換後の文字列（maskの場合は使わない）
+ */
+
+/**
+ * 音声認識結果の文字列に置換辞書を適用する
+ */
+class ReplacementDictionary {
+  /** @type {Array<string>} 規則の種類 */
+  static TYPES = ['text', 'regex', 'mask']
+
+  /** @type {string} 伏せ字に使う文字 */
+  static MASK_CHARACTER = '＊'
+
+  /**
+   * コンストラクタ
+   * @param {(message:string) => void} onLog ログ発生時のイベント処理関数
+   */
+  constructor(onLog = undefined) {
+    /** @type {Array<ReplacementRule>} 置換規則の配列（記載順に適用し、伏せ字は最後に適用する） */
+    this.rules = []
+
+    /** @type {Array<{regex:RegExp, to:string | (() => string)}>} 適用用に変換した置換規則 */
+    this._replacers = []
+
+    /** @type {Array<RegExp>} 適用用に変換した伏せ字の規則 */
+    this._masks = []
+
+    /** @type {(message:string) => void} ログ発生イベント処理関数（外側から設定する） */
+    this.onLog = (onLog != null) ? onLog : (message) => {}
+  }
+
+  /**
+   * 置換規則を設定する。正規表現として不正な規則は適用対象から除く（規則そのものは残す）。
+   * @param {Array<ReplacementRule>} rules 置換規則の配列
+   * @returns {Array<string>} 不正な規則についてのエラーメッセージの配列（問題なければ空）
+   */
+  setRules(rules) {
+    const errors = []
+    this.rules = []
+    this._replacers = []
+    this._masks = []
+    rules.forEach(rule => {
+      if (rule == null || ReplacementDictionary.TYPES.includes(rule.type) !== true) return
+      if (typeof rule.from !== 'string' || rule.from.length < 1) return
+      const to = (typeof rule.to === 'string') ? rule.to : ''
+      this.rules.push({ type: rule.type, from: rule.from, to: to })
+      if (rule.type === 'text') {
+        // 通常の文字列の置換では「$1」などを特別扱いしないよう関数で置換する
+        this._replacers.push({ regex: new RegExp(ReplacementDictionary.escapeRegExp(rule.from), 'g'), to: () => to })
+      } else if (rule.type === 'mask') {
+        this._masks.push(new RegExp(ReplacementDictionary.escapeRegExp(rule.from), 'gi'))
+      } else {
+        try {
+          this._replacers.push({ regex: new RegExp(rule.from, 'g'), to: to })
+        } catch(err) {
+          this.onLog(`ReplacementDictionary : invalid regex(${rule.from}) ${err}`)
+          errors.push(`${rule.from} : ${err.message}`)
+        }
+      }
+    })
+    this.onLog(`ReplacementDictionary.setRules() rules=${this.rules.length} errors=${errors.length}`)
+    return errors
+  }
+
+  /**
+   * 文字列に置換辞書を適用する。
+   * @param {string} text 対象の文字列
+   * @returns {string} 置換後の文字列
+   */
+  apply(text) {
+    if (typeof text !== 'string' || text.length < 1) return text
+    let result = text
+    this._replacers.forEach(r => {
+      r.regex.lastIndex = 0
+      result = result.replace(r.regex, r.to)
+    })
+    this._masks.forEach(regex => {
+      regex.lastIndex = 0
+      result = result.replace(regex, (word) => ReplacementDictionary.MASK_CHARACTER.repeat(word.length))
+    })
+    return result
+  }
+
+  /**
+   * 正規表現の特殊文字をエスケープする。
+   * @param {string} text 対象の文字列
+   * @returns {string} エスケープ後の文字列
+   */
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
+
+  /**
+   * 置換規則をJSON形式の文字列にする。
+   * @returns {string} JSON形式の文字列
+   */
+  toJson() {
+    return JSON.stringify({ rules: this.rules }, null, 2)
+  }
+
+  /**
+   * JSON形式の文字列から置換規則を読み取る。
+   * @param {string} json JSON形式の文字列（{rules:[...]} または規則の配列）
+   * @returns {Array<ReplacementRule>} 置換規則の配列
+   */
+  static parseJson(json) {
+    const data = JSON.parse(json)
+    const rules = Array.isArray(data) ? data : data.rules
+    if (Array.isArray(rules) !== true) {
+      throw new Error('rules not found')
+    }
+    return rules
+  }
+
+  /**
+   * 置換規則をCSV形式（type,from,to）の文字列にする。
+   * @returns {string} CSV形式の文字列
+   */
+  toCsv() {
+    const quote = (field) => /[",\r\n]/.test(field) ? `"${field.replaceAll('"', '""')}"` : field
+    let text = 'type,from,to\n'
+    this.rules.forEach(rule => {
+      text += [rule.type, rule.from, rule.to].map(quote).join(',') + '\n'
+    })
+    return text
+  }
+
+  /**
+   * CSV形式の文字列から置換規則を読み取る。
+   * 各行は「type,from,to」とし、typeを省略した「from,to」の行は通常の文字列の置換とみなす。
+   * @param {string} csv CSV形式の文字列
+   * @returns {Array<ReplacementRule>} 置換規則の配列
+   */
+  static parseCsv(csv) {
+    /** @type {Array<ReplacementRule>} */
+    const rules = []
+    ReplacementDictionary._splitCsv(csv).forEach(fields => {
+      if (fields.length < 1 || fields[0].trim() === '') return
+      if (fields[0] === 'type' && fields[1] === 'from') return // 見出し行
+      if (ReplacementDictionary.TYPES.includes(fields[0])) {
+        rules.push({ type: fields[0], from: fields[1] ?? '', to: fields[2] ?? '' })
+      } else {
+        rules.push({ type: 'text', from: fields[0], to: fields[1] ?? '' })
+      }
+    })
+    return rules
+  }
+
+  /**
+   * CSV形式の文字列を行と列に分割する（ダブルクォートによる囲みに対応）。
+   * @param {string} csv CSV形式の文字列
+   * @returns {Array<Array<string>>} 行ごとの列の配列
+   */
+  static _splitCsv(csv) {
+    const rows = []
+    let fields = []
+    let field = ''
+    let inQuote = false
+    for (let ix=0 ; ix<csv.length ; ix++) {
+      const ch = csv[ix]
+      if (inQuote) {
+        if (ch === '"' && csv[ix+1] === '"') {
+          field += '"'
+          ix++
+        } else if (ch === '"') {
+          inQuote = false
+        } else {
+          field += ch
+        }
+      } else if (ch === '"') {
+        inQuote = true
+      } else if (ch === ',') {
+        fields.push(field)
+        field = ''
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && csv[ix+1] === '\n') ix++
+        fields.push(field)
+        rows.push(fields)
+        fields = []
+        field = ''
+      } else {
+        field += ch
+      }
+    }
+    if (field.length > 0 || fields.length > 0) {
+      fields.push(field)
+      rows.push(fields)
+    }
+    return rows
+  }
+} // ReplacementDictionaryクラスの終端
+
+
+/**
+ * 翻訳サービスの基底クラス（このクラス自体は「翻訳なし」として動作する）。
+ * 翻訳サービスごとに派生クラスを作り、設定（URLなど）はsettingsで受け取る。
+ */
+class TranslationProvider {
+  /**
+   * コンストラクタ
+   * @param {Object} settings 翻訳サービスごとの設定（設定オブジェクトのtranslationSettingsに保存する）
+   */
+  constructor(settings = {}) {
+    /** @type {Object} 翻訳サービスごとの設定 */
+    this.settings = settings
+    /** @type {(message:string) => void} ログ発生イベント処理関数（外側から設定する） */
+    this.onLog = (message) => {}
+  }
+
+  /** @type {string} 翻訳サービスの名前（設定値、ログ用） */
+  get name() { return 'none' }
+
+  /**
+   * 翻訳可能な状態か判定する。
+   * @returns {boolean} trueなら翻訳可能
+   */
+  isAvailable() { return false }
+
+  /**
+   * 文字列を翻訳する。
+   * @param {string} text 翻訳する文字列
+   * @param {string} sourceLang 翻訳元の言語（BCP 47形式）
+   * @param {string} targetLang 翻訳先の言語（BCP 47形式）
+   * @returns {Promise<string>} 翻訳結果
+   */
+  async translate(text, sourceLang, targetLang) {
+    throw new Error('translation is not available')
+  }
+
+  /**
+   * BCP 47形式の言語から主言語の部分を取り出す（例：ja-JP → ja）。
+   * @param {string} lang 言語（BCP 47形式）
+   * @returns {string} 主言語（小文字）
+   */
+  static toLanguageCode(lang) {
+    return lang.split('-')[0].toLowerCase()
+  }
+} // TranslationProviderクラスの終端
+
+/**
+ * HTTPの翻訳サーバー（LibreTranslate互換）を使う翻訳サービス。
+ * {q, source, target, format, api_key} をJSONでPOSTし、{translatedText} を受け取る。
+ * 自前の翻訳サーバーやローカルのスタブを指定すればオフラインでも使える。
+ */
+class HttpTranslationProvider extends TranslationProvider {
+  /** @type {number} 翻訳結果を待つ最大時間（ミリ秒） */
+  static TIMEOUT = 10000
+
+  /** @type {{url:string, apiKey:string}} 設定のデフォルト値 */
+  static DEFAULT_SETTINGS = { url: 'http://localhost:5000/translate', apiKey: '' }
+
+  get name() { return 'http' }
+
+  isAvailable() {
+    return (typeof this.settings.url === 'string') && /^https?:\/\/.+/.test(this.settings.url)
+  }
+
+  async translate(text, sourceLang, targetLang) {
+    const body = {
+      q: text,
+      source: TranslationProvider.toLanguageCode(sourceLang),
+      target: TranslationProvider.toLanguageCode(targetLang),
+      format: 'text'
+    }
+    if (typeof this.settings.apiKey === 'string' && this.settings.apiKey.length > 0) {
+      body.api_key = this.settings.apiKey
+    }
+    const controller = new AbortController()
+    const timerId = window.setTimeout(() => { controller.abort() }, HttpTranslationProvider.TIMEOUT)
+    try {
+      const response = await fetch(this.settings.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      })
+      if (response.ok !== true) {
+        throw new Error(`HTTP status ${response.status}`)
+      }
+      const json = await response.json()
+      if (typeof json.translatedText !== 'string') {
+        throw new Error(`invalid response ${JSON.stringify(json)}`)
+      }
+      return json.translatedText
+    } finally {
+      window.clearTimeout(timerId)
+    }
+  }
+} // HttpTranslationProviderクラスの終端
+
+
+/**
+ * 音声認識エンジン（バックエンド）の共通インターフェース。
+ * 各バックエンドはブラウザのSpeechRecognitionと同様のイベントを発生させ、
+ * 認識結果はSpeechRecognitionEventと同じ形（resultIndexとresults）で通知する。
+ */
+class RecognizerBackend {
+  constructor() {
+    /** @type {string} 音声認識の言語（BCP 47形式） */
+    this.lang = navigator.language
+    /** @type {number} 音声認識結果の候補の最大数（対応しないバックエンドもある） */
+    this.maxAlternatives = 1
+    /** @type {string} 使用するマイクのdeviceId（空文字列なら既定のマイク。対応しないバックエンドもある） */
+    this.micId = ''
+    /** @type {() => void} 音声認識開始イベント処理関数（外側から設定する） */
+    this.onStart = () => {}
+    /** @type {() => void} 発話開始イベント処理関数（外側から設定する） */
+    this.onSpeechStart = () => {}
+    /** @type {() => void} 音声認識終了イベント処理関数（外側から設定する） */
+    this.onEnd = () => {}
+    /** @type {() => void} 動作中であることを示すイベント（サーバーからの受信、音声の入力など）の処理関数（外側から設定する） */
+    this.onActivity = () => {}
+    /** @type {(ev:{resultIndex:number, results:ArrayLike<SpeechRecognitionResult>}) => void} 認識結果イベント処理関数（外側から設定する） */
+    this.onResult = (ev) => {}
+    /** @type {(ev:{error:string, message:string}) => void} エラー発生イベント処理関数（外側から設定する） */
+    this.onError = (ev) => {}
+    /** @type {(message:string) => void} ログ発生イベント処理関数（外側から設定する） */
+    this.onLog = (message) => {}
+  }
+
+  /** @type {string} バックエンドの名前（ログ用） */
+  get name() { return 'none' }
+
+  /** @type {boolean} マイクを選べる（micIdに対応する）バックエンドならtrue */
+  get supportsMicSelection() { return false }
+
+  /**
+   * 初期化する。
+   * @returns {boolean} trueならこのバックエンドは利用可能
+   */
+  init() { return false }
+
+  /** 音声認識を開始する（終了時は必ずonEndを発生させる）。 */
+  start() {}
+
+  /** 音声認識を終了する（認識途中の結果は確定させる）。 */
+  stop() {}
+
+  /** 音声認識を中断する（認識途中の結果は破棄する）。 */
+  abort() {}
+
+  /**
+   * 応答しなくなった音声認識を強制的に片付け、次のstartで使えるようにする。
+   * onEndは発生させない（呼び出し側で終了として扱う）。
+   */
+  recreate() { this.abort() }
+
+  /** イベント処理関数をすべて外す（バックエンドを切り替える際に使う）。 */
+  detach() {
+    this.onStart = () => {}
+    this.onSpeechStart = () => {}
+    this.onEnd = () => {}
+    this.onActivity = () => {}
+    this.onResult = (ev) => {}
+    this.onError = (ev) => {}
+  }
+} // RecognizerBackendクラスの終端
+
+/**
+ * ブラウザ内蔵の音声認識（SpeechRecognition / webkitSpeechRecognition）を使うバックエンド
+ */
+class WebSpeechBackend extends RecognizerBackend {
+  constructor() {
+    super()
+    /**
+     * @type {SpeechRecognition | webkitSpeechRecognition | null | undefined} 
+     * 音声認識オブジェクト。
+     * 初期化前はundefined
+     * 初期化後は適切なオブジェクトまたはnull（ブラウザが音声認識不可能な場合など） 
+     */
+    this.recognizer = undefined
+  }
+
+  get name() { return 'browser' }
+
+  init() {
+    // ２回以上の呼び出しはできない
+    if (this.recognizer !== undefined) return this.recognizer != null
+
+    // 音声認識オブジェクトの生成（Firefoxのようにエンジンレベルで非対応だと生成できない）
+    if ('SpeechRecognition' in window) {
+      this.onLog('SpeechRecognition found.')
+      this.recognizer = new SpeechRecognition()
+    } else if ('webkitSpeechRecognition' in window) {
+      this.onLog('webkitSpeechRecognition found.')
+      this.recognizer = new webkitSpeechRecognition()
+    } else {
+      this.onLog('SpeechRecognition not found.')
+      this.recognizer = null
+      return false // 作れないのでここで終わり
+    }
+
+    // 最低限のパラメータ設定
+    this.recognizer.continuous = true
+    this.recognizer.interimResults = true
+    this.recognizer.lang = this.lang // 言語は外側から指定（デフォルトはブラウザの言語）
+    this.recognizer.maxAlternatives = this.maxAlternatives
+
+    // イベント処理
+    this.recognizer.onstart = () => {
+      this.onLog('onstart')
+      this.onStart()
+    }
+    this.recognizer.onaudiostart = () => {
+      this.onLog('onaudiostart')
+      this.onActivity()
+    }
+    this.recognizer.onsoundstart = () => {
+      this.onLog('onsoundstart')
+      this.onActivity()
+    }
+    this.recognizer.onspeechstart = () => {
+      this.onLog('onspeechstart')
+      this.onSpeechStart()
+    }
+    this.recognizer.onspeechend = () => {
+      this.onLog('onspeechend')
+      this.onActivity()
+    }
+    this.recognizer.onsoundend = () => {
+      this.onLog('onsoundend')
+      this.onActivity()
+    }
+    this.recognizer.onaudioend = () => {
+      this.onLog('onaudioend')
+      this.onActivity()
+    }
+    this.recognizer.onend = () => {
+      this.onLog('onend')
+      this.onEnd()
+    }
+    this.recognizer.onerror = (ev) => {
+      window.speechRecognizerError = ev
+      this.onLog(`onerror(${ev.error}) detail:${JSON.stringify(ev)} msg:${ev.message}`)
+      this.onError({ error: ev.error, message: ev.message })
+    }
+    this.recognizer.onnomatch = () => {
+      this.onLog('onnomatch')
+      this.onActivity()
+      // そのままonendに到達して自動的に再開を試みるはずなので何もしない。
+    }
+    this.recognizer.onresult = (ev) => {
+      this.onResult(ev)
+    }
+
+    return true
+  } // init()の終端
+
+  start() {
+    if (this.recognizer == null) return
+    this.recognizer.lang = this.lang
+    this.recognizer.maxAlternatives = this.maxAlternatives
+    this.recognizer.start()
+  }
+
+  stop() {
+    if (this.recognizer == null) return
+    this.recognizer.stop()
+  }
+
+  abort() {
+    if (this.recognizer == null) return
+    this.recognizer.abort()
+  }
+
+  recreate() {
+    if (this.recognizer == null) return
+    // 古いオブジェクトからのイベントは以後無視する
+    const old = this.recognizer
+    old.onstart = old.onaudiostart = old.onsoundstart = old.onspeechstart = null
+    old.onspeechend = old.onsoundend = old.onaudioend = old.onend = null
+    old.onerror = old.onnomatch = old.onresult = null
+    try {
+      old.abort()
+    } catch(err) {
+      this.onLog(`WebSpeechBackend.recreate() : abort failed (${err})`)
+    }
+    this.recognizer = undefined
+    this.init()
+  }
+} // WebSpeechBackendクラスの終端
+
+/**
+ * マイク音声をWebSocketでローカルの音声認識サーバー（Voskやwhisper.cppのサーバーなど）に送るバックエンド。
+ * 音声は16kHz・16bit・モノラルのPCM（リトルエンディアン）としてバイナリで送信する。
+ * 受信するJSONは次の形式に対応する。
+ * - Vosk形式：{"partial": "..."}（未確定）、{"text": "..."}（確定）
+ * - 汎用形式：{"type": "partial"|"final", "text": "...", "confidence": 0.9}
+ */
+class WebSocketBackend extends RecognizerBackend {
+  /** @type {number} サーバーに送る音声のサンプリングレート */
+  static SAMPLE_RATE = 16000
+
+  /** @type {number} stop後、サーバーからの最終結果を待つ最大時間（ミリ秒） */
+  static CLOSE_TIMEOUT = 3000
+
+  /**
+   * コンストラクタ
+   * @param {string} url 音声認識サーバーのURL（例：ws://localhost:2700）
+   */
+  constructor(url) {
+    super()
+    /** @type {string} 音声認識サーバーのURL */
+    this.url = url
+    /** @type {WebSocket | null} サーバーとの接続（実行中以外はnull） */
+    this.socket = null
+    /** @type {MediaStream | null} マイク音声（実行中以外はnull） */
+    this.stream = null
+    /** @type {AudioContext | null} 音声処理用のコンテキスト（実行中以外はnull） */
+    this.audioContext = null
+    /** @type {ScriptProcessorNode | null} 音声データ取得用のノード（実行中以外はnull） */
+    this.processor = null
+    /** @type {number} 今回の開始以降に確定した認識結果の数（次の認識結果の番号） */
+    this.finalCount = 0
+    /** @type {SpeechRecognitionResult | null} 認識途中の結果（SpeechRecognitionResultと同じ形。なければnull） */
+    this.interimResult = null
+    /** @type {boolean} 開始から終了（onEnd）までの間はtrue */
+    this.isActive = false
+    /** @type {number} stop後の強制終了タイマーのID（未設定は-1） */
+    this.closeTimerId = -1
+  }
+
+  get name() { return 'websocket' }
+
+  get supportsMicSelection() { return true }
+
+  init() {
+    const available = ('WebSocket' in window) && (navigator.mediaDevices != null)
+      && (('AudioContext' in window) || ('webkitAudioContext' in window))
+    this.onLog(`WebSocketBackend.init() url=${this.url} available=${available}`)
+    return available
+  }
+
+  async start() {
+    if (this.isActive) return
+    this.isActive = true
+    this.finalCount = 0
+    this.interimResult = null
+    try {
+      const audio = { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+      if (this.micId.length > 0) {
+        // 指定されたマイクが見つからなければ既定のマイクで代用する
+        audio.deviceId = { ideal: this.micId }
+      }
+      this.stream = await navigator.mediaDevices.getUserMedia({ audio: audio, video: false })
+    } catch(err) {
+      this.onLog(`WebSocketBackend : getUserMedia failed (${err})`)
+      this.onError({ error: (err.name === 'NotAllowedError') ? 'not-allowed' : 'audio-capture', message: `${err}` })
+      this._finish()
+      return
+    }
+    if (this.isActive !== true) {
+      // マイク取得中にabortされた場合
+      this._finish()
+      return
+    }
+
+    try {
+      this.socket = new WebSocket(this.url)
+    } catch(err) {
+      this.onLog(`WebSocketBackend : WebSocket failed (${err})`)
+      this.onError({ error: 'network', message: `${err}` })
+      this._finish()
+      return
+    }
+    this.socket.binaryType = 'arraybuffer'
+    this.socket.onopen = () => {
+      this.onLog('WebSocketBackend : socket open')
+      this.socket.send(JSON.stringify({ config: { sample_rate: WebSocketBackend.SAMPLE_RATE, lang: this.lang } }))
+      this._startAudio()
+      this.onStart()
+    }
+    this.socket.onmessage = (ev) => {
+      // 無音時の空の結果なども、サーバーが応答している証拠として知らせる
+      this.onActivity()
+      if (typeof ev.data === 'string') {
+        this._handleMessage(ev.data)
+      }
+    }
+    this.socket.onerror = (ev) => {
+      this.onLog('WebSocketBackend : socket error')
+      this.onError({ error: 'network', message: `cannot connect to ${this.url}` })
+    }
+    this.socket.onclose = (ev) => {
+      this.onLog(`WebSocketBackend : socket closed (${ev.code})`)
+      this._finish()
+    }
+  }
+
+  stop() {
+    if (this.isActive !== true) return
+    this._stopAudio()
+    if (this.socket != null && this.socket.readyState === WebSocket.OPEN) {
+      // 送信済みの音声の最終結果を受け取ってから閉じる
+      this.socket.send(JSON.stringify({ eof: 1 }))
+      this.closeTimerId = window.setTimeout(() => { this._finish() }, WebSocketBackend.CLOSE_TIMEOUT)
+    } else {
+      this._finish()
+    }
+  }
+
+  abort() {
+    if (this.isActive !== true) return
+    this._finish()
+  }
+
+  recreate() {
+    this.isActive = false // onEndを発生させずに片付ける
+    this._finish()
+  }
+
+  /**
+   * マイク音声を16kHzのPCMに変換して送信し始める。
+   */
+  _startAudio() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    this.audioContext = new AudioContextClass()
+    const source = this.audioContext.createMediaStreamSource(this.stream)
+    this.processor = this.audioContext.createScriptProcessor(4096, 1, 1)
+    const ratio = this.audioContext.sampleRate / WebSocketBackend.SAMPLE_RATE
+    this.processor.onaudioprocess = (ev) => {
+      if (this.socket == null || this.socket.readyState !== WebSocket.OPEN) return
+      const input = ev.inputBuffer.getChannelData(0)
+      this.socket.send(WebSocketBackend.toPcm16(input, ratio))
+    }
+    source.connect(this.processor)
+    this.processor.connect(this.audioContext.destination)
+  }
+
+  /**
+   * マイク音声の取得と送信を止める。
+   */
+  _stopAudio() {
+    if (this.processor != null) {
+      this.processor.onaudioprocess = null
+      this.processor.disconnect()
+      this.processor = null
+    }
+    if (this.audioContext != null) {
+      this.audioContext.close()
+      this.audioContext = null
+    }
+    if (this.stream != null) {
+      this.stream.getTracks().forEach(track => track.stop())
+      this.stream = null
+    }
+  }
+
+  /**
+   * 接続と音声を片付けてonEndを発生させる（何度呼ばれてもonEndは１回だけ）。
+   */
+  _finish() {
+    if (this.closeTimerId >= 0) {
+      window.clearTimeout(this.closeTimerId)
+      this.closeTimerId = -1
+    }
+    this._stopAudio()
+    if (this.socket != null) {
+      this.socket.onopen = null
+      this.socket.onmessage = null
+      this.socket.onerror = null
+      this.socket.onclose = null
+      if (this.socket.readyState === WebSocket.OPEN || this.socket.readyState === WebSocket.CONNECTING) {
+        this.socket.close()
+      }
+      this.socket = null
+    }
+    if (this.isActive) {
+      this.isActive = false
+      this.onEnd()
+    }
+  }
+
+  /**
+   * サーバーからのメッセージを認識結果に変換して通知する。
+   * @param {string} data 受信したJSON文字列
+   */
+  _handleMessage(data) {
+    let message
+    try {
+      message = JSON.parse(data)
+    } catch(err) {
+      this.onLog(`WebSocketBackend : invalid message (${data})`)
+      return
+    }
+    let transcript = null
+    let isFinal = false
+    if (typeof message.partial === 'string') {
+      transcript = message.partial
+    } else if (typeof message.text === 'string') {
+      transcript = message.text
+      isFinal = (message.type !== 'partial' && message.final !== false)
+    }
+    if (transcript == null) return
+    const confidence = (typeof message.confidence === 'number') ? message.confidence : 0
+    this._pushResult(transcript.trim(), isFinal, confidence)
+  }
+
+  /**
+   * 認識結果を通知する（未確定結果は次の結果で置き換わる）。
+   * 確定済みの結果は保持せず、通知する結果の一覧には今回の結果だけを入れる
+   * （SpeechLogはresultIndex以降しか参照しないため。長時間使っても一覧が増え続けないようにする）。
+   * @param {string} transcript 認識された文字列
+   * @param {boolean} isFinal 確定ならtrue
+   * @param {number} confidence 信頼度（不明なら0）
+   */
+  _pushResult(transcript, isFinal, confidence) {
+    if (transcript.length < 1) {
+      // 空の結果は通知しない（Voskは無音時に空のpartialを送り続け、空のtextで確定することもあるため）
+      if (isFinal) {
+        this.interimResult = null
+      }
+      return
+    }
+    if (this.interimResult == null) {
+      // 新しい発話の始まり
+      this.onSpeechStart()
+    }
+    const result = WebSocketBackend.makeResult(transcript, isFinal, confidence)
+    const index = this.finalCount
+    const results = { length: index + 1 }
+    results[index] = result
+    if (isFinal) {
+      this.finalCount++
+      this.interimResult = null
+    } else {
+      this.interimResult = result
+    }
+    this.onResult({ resultIndex: index, results: results })
+  }
+
+  /**
+   * SpeechRecognitionResultと同じ形のオブジェクトを作る。
+   * @param {string} transcript 認識された文字列
+   * @param {boolean} isFinal 確定ならtrue
+   * @param {number} confidence 信頼度
+   * @returns {SpeechRecognitionResult} 認識結果
+   */
+  static makeResult(transcript, isFinal, confidence) {
+    return { isFinal: isFinal, length: 1, 0: { transcript: transcript, confidence: confidence } }
+  }
+
+  /**
+   * 音声データを間引いて16bitのPCMに変換する。
+   * @param {Float32Array} input 音声データ（-1～1）
+   * @param {number} ratio 入力と出力のサンプリングレートの比
+   * @returns {ArrayBuffer} 16bitリトルエンディアンのPCM
+   */
+  static toPcm16(input, ratio) {
+    const length = Math.floor(input.length / ratio)
+    const view = new DataView(new ArrayBuffer(length * 2))
+    for (let ix=0 ; ix<length ; ix++) {
+      // 区間内の平均をとって間引く
+      const begin = Math.floor(ix * ratio)
+      const end = Math.max(Math.floor((ix+1) * ratio), begin+1)
+      let sum = 0
+      for (let j=begin ; j<end ; j++) {
+        sum += input[j]
+      }
+      const sample = Math.max(-1, Math.min(1, sum / (end - begin)))
+      view.setInt16(ix * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true)
+    }
+    return view.buffer
+  }
+} // WebSocketBackendクラスの終端
+
+
+/**
+ * マイクの入力レベルを測り、音が届かない状態が続いたことを知らせる
+ */
+class MicLevelMonitor {
+  /** @type {number} 入力レベルを測る間隔（ミリ秒） */
+  static INTERVAL = 100
+
+  /** @type {number} この入力レベル（RMS。0～1）以上なら音が届いているとみなす（約-40dBFS） */
+  static SOUND_LEVEL = 0.01
+
+  constructor() {
+    /** @type {MediaStream | null} マイク音声（測定中以外はnull） */
+    this.stream = null
+    /** @type {AudioContext | null} 音声処理用のコンテキスト（測定中以外はnull） */
+    this.audioContext = null
+    /** @type {AnalyserNode | null} 入力レベルを測るノード（測定中以外はnull） */
+    this.analyser = null
+    /** @type {Float32Array} 波形データの受け取り用 */
+    this.buffer = new Float32Array(0)
+    /** @type {number | null} 測定用のタイマーID（測定中以外はnull） */
+    this.timerId = null
+    /** @type {number} 最後に音が届いた時刻（Date.now()の値） */
+    this.lastSoundTime = 0
+    /** @type {number} 音が届かない状態がこの時間続いたら知らせる（ミリ秒。0なら知らせない） */
+    this.silenceTimeout = 0
+    /** @type {boolean} 音が届かない状態が続いていればtrue */
+    this.isSilent = false
+    /** @type {boolean} startしてからstopするまで（マイクの取得中も含む）はtrue */
+    this.isStarted = false
+    /** @type {number} start、stopのたびに増える番号（マイクの取得中に次のstartやstopが来たら、古い取得結果を捨てるために使う） */
+    this.generation = 0
+
+    /** @type {(level:number) => void} 入力レベル（RMS。0～1）を測るたびのイベント処理関数（外側から設定する） */
+    this.onLevel = (level) => {}
+    /** @type {(isSilent:boolean) => void} 音が届かない状態になった（または解消した）時のイベント処理関数（外側から設定する） */
+    this.onSilenceChanged = (isSilent) => {}
+    /** @type {(message:string) => void} ログ発生イベント処理関数（外側から設定する） */
+    this.onLog = (message) => {}
+  }
+
+  /**
+   * このブラウザで入力レベルを測れるかを返す。
+   * @returns {boolean} 測れるならtrue
+   */
+  static isAvailable() {
+    return (navigator.mediaDevices != null) && (typeof navigator.mediaDevices.getUserMedia === 'function')
+      && (('AudioContext' in window) || ('webkitAudioContext' in window))
+  }
+
+  /**
+   * マイクを取得して測定を開始する（測定中なら取得し直す）。
+   * 取得中に次のstart（またはstop）が呼ばれた場合は、最後に呼ばれたものだけを有効とする。
+   * @param {string} deviceId マイクのdeviceId（空文字列なら既定のマイク。見つからなければ既定のマイクで代用する）
+   * @returns {Promise<string>} 実際に使われたマイクのdeviceId（不明な場合や、取り消された場合は空文字列）
+   */
+  async start(deviceId) {
+    this.stop()
+    this.isStarted = true
+    const generation = this.generation
+    const audio = (deviceId.length > 0) ? { deviceId: { ideal: deviceId } } : true
+    let stream
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: audio, video: false })
+    } catch(err) {
+      if (generation === this.generation) {
+        this.isStarted = false
+      }
+      throw err
+    }
+    if (generation !== this.generation) {
+      // 取得中に次のstartまたはstopが呼ばれたので、このマイクは使わずに解放する
+      stream.getTracks().forEach(track => track.stop())
+      this.onLog(`MicLevelMonitor.start(${deviceId}) : cancelled`)
+      return ''
+    }
+    this.stream = stream
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    this.audioContext = new AudioContextClass()
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(err => { this.onLog(`MicLevelMonitor : resume failed (${err})`) })
+    }
+    this.analyser = this.audioContext.createAnalyser()
+    this.analyser.fftSize = 2048
+    this.audioContext.createMediaStreamSource(this.stream).connect(this.analyser)
+    this.buffer = new Float32Array(this.analyser.fftSize)
+    this.lastSoundTime = Date.now()
+    this.timerId = setInterval(() => { this._measure() }, MicLevelMonitor.INTERVAL)
+    const track = this.stream.getAudioTracks()[0]
+    const actualId = (track != null && typeof track.getSettings === 'function') ? (track.getSettings().deviceId ?? '') : ''
+    this.onLog(`MicLevelMonitor.start(${deviceId}) : ${track?.label} (${actualId})`)
+    return actualId
+  }
+
+  /**
+   * 測定を止めてマイクを解放する。
+   */
+  stop() {
+    this.generation++
+    this.isStarted = false
+    if (this.timerId != null) {
+      clearInterval(this.timerId)
+      this.timerId = null
+    }
+    if (this.audioContext != null) {
+      this.audioContext.close()
+      this.audioContext = null
+    }
+    if (this.stream != null) {
+      this.stream.getTracks().forEach(track => track.stop())
+      this.stream = null
+    }
+    this.analyser = null
+    if (this.isSilent) {
+      this.isSilent = false
+      this.onSilenceChanged(false)
+    }
+  }
+
+  /**
+   * 入力レベルを測り、音が届かない状態の変化を知らせる。
+   */
+  _measure() {
+    if (this.analyser == null) return
+    this.analyser.getFloatTimeDomainData(this.buffer)
+    let sum = 0
+    for (let ix=0 ; ix<this.buffer.length ; ix++) {
+      sum += this.buffer[ix] * this.buffer[ix]
+    }
+    const level = Math.sqrt(sum / Math.max(this.buffer.length, 1))
+    const now = Date.now()
+    // 音声処理が動いていない間（ユーザー操作待ちなど）は、音が届かないとはみなさない
+    if (level >= MicLevelMonitor.SOUND_LEVEL || this.audioContext.state !== 'running') {
+      this.lastSoundTime = now
+    }
+    const isSilent = (this.silenceTimeout > 0) && (now - this.lastSoundTime >= this.silenceTimeout)
+    if (isSilent !== this.isSilent) {
+      this.isSilent = isSilent
+      this.onSilenceChanged(isSilent)
+    }
+    this.onLevel(level)
+  }
+} // MicLevelMonitorクラスの終端
+
+
+/**
+ * 音声認識オブジェクトを管理するクラス
+ */
+class SpeechRecognizerOptions {
+  constructor() {
+    /** @type {SpeechLog} 音声認識結果の管理クラス */
+    this.speechLog = null
+    /** @type {RecognizerBackend} 音声認識エンジン（省略時はブラウザ内蔵の音声認識） */
+    this.backend = null
+    /** @type {string} 音声認識の言語（BCP 47形式。例：ja-JP） */
+    this.lang = navigator.language
+    /** @type {number} 音声認識結果の候補の最大数 */
+    this.maxAlternatives = 1
+    /** @type {string} 使用するマイクのdeviceId（空文字列なら既定のマイク） */
+    this.micId = ''
+    /** @type {(text:string) => void} 字幕更新イベント処理関数（外側から設定する） */
+    this.onUpdated = (text) => {}
+    /** @type {(state:string) => void} 状態変化イベント処理関数（外側から設定する） */
+    this.onStateChanged = (state) => {}
+    /** @type {(message:string) => void} 致命的なエラー発生イベント処理関数（外側から設定する） */
+    this.onCritical = (message) => {}
+    /** @type {(message:string) => void} ログ発生イベント処理関数（外側から設定する） */
+    this.onLog = (message) => {}
+  }
+}
+
+/**
+ * 音声認識オブジェクトを管理する（実際の音声認識はバックエンドに任せる）
+ * 状態は次のように遷移する。
+ * - idle（開始前）→ starting（開始要求中）→ listening（待ち受け中）⇔ speech（発話の認識中）
+ * - 終了すると restarting（再開待ち）を経て starting に戻る。異常終了が続くと再開までの待ち時間を倍々に延ばす。
+ * - 一時停止中は suspended、継続不可能なエラーでは failed（自動再開しない）。
+ */
+class SpeechRecognizer {
+  /** @type {number} 異常終了後、再開までの最短の待ち時間（ミリ秒） */
+  static RESTART_WAIT_MIN = 1000
+
+  /** @type {number} 異常終了後、再開までの最長の待ち時間（ミリ秒） */
+  static RESTART_WAIT_MAX = 30000
+
+  /** @type {number} これより短い時間で（発話なしに）終了した場合は異常終了とみなす（ミリ秒） */
+  static SHORT_RUN_TIME = 1000
+
+  /** @type {number} 実行中にこの時間イベントが何も来なければ応答なしとみなして再起動する（ミリ秒） */
+  static WATCHDOG_TIMEOUT = 30000
+
+  /** @type {number} 応答なしの確認間隔（ミリ秒） */
+  static WATCHDOG_INTERVAL = 5000
+
+  /** @type {Array<string>} 再開しても回復しないエラー種別 */
+  static FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'language-not-supported']
+
+  /** @type {number} 一度も発話を検出できないまま、エラーによる終了がこの回数続いたら音声認識非対応とみなす */
+  static MAX_ERRORS_BEFORE_SPEECH = 5
+
+  /**
+   * コンストラクタ
+   * @param {SpeechRecognizerOptions} options
+   */
+  constructor(options = undefined) {
+    /** @type {RecognizerBackend} 音声認識エンジン */
+    this.backend = (options.backend != null) ? options.backend : new WebSpeechBackend()
+
+    /** @type {boolean} バックエンドの初期化が済んでいればtrue */
+    this.isInitialized = false
+
+    /** @type {boolean} 音声認識開始後で音声処理が可能かを示す（Chromium系ブラウザの多くのように音声認識オブジェクトはあるが実際にはできない場合、どうやらonaudiostartの後でエラーとなりonspeechstartができないようなので、その検出に利用） */
+    this.isSpeechAvailable = false
+
+    /** @type {boolean} 音声認識が使える（と考えられる）場合はtrue */
+    this.available = true // とりあえず最初はtrueとしておく
+
+    /** @type {boolean} 音声認識の開始（start）から終了（onend）までの間はtrue */
+    this.isRunning = false
+
+    /** @type {boolean} 一時停止中（手動入力中など）はtrue。この間は自動再開しない */
+    this.isSuspended = false
+
+    /** @type {'idle'|'starting'|'listening'|'speech'|'restarting'|'suspended'|'failed'} 現在の状態 */
+    this.state = 'idle'
+
+    /** @type {number} 連続して異常終了した回数（再開までの待ち時間の計算に使う） */
+    this.failureCount = 0
+
+    /** @type {boolean} 今回の開始以降に（継続可能な）エラーが発生していればtrue */
+    this.hasError = false
+
+    /** @type {{error:string, message:string} | null} 最後に発生した（継続可能な）エラー */
+    this.lastError = null
+
+    /** @type {number} 一度も発話を検出できないまま、エラーで終了した回数 */
+    this.errorCountBeforeSpeech = 0
+
+    /** @type {boolean} 今回の開始以降に発話を検出していればtrue */
+    this.hasSpeech = false
+
+    /** @type {boolean} 設定変更のためのstopであればtrue（待ち時間なしで再開する） */
+    this.isRestartRequested = false
+
+    /** @type {number} 今回の開始時刻（Date.now()の値） */
+    this.startedAt = 0
+
+    /** @type {number} 最後にバックエンドからイベントを受けた時刻（Date.now()の値） */
+    this.lastActivity = 0
+
+    /** @type {number} 再開待ちタイマーのID（未設定は-1） */
+    this.restartTimerId = -1
+
+    /** @type {number} 応答なし確認タイマーのID（未設定は-1） */
+    this.watchdogTimerId = -1
+
+    /** @type {string} 音声認識の言語（BCP 47形式） */
+    this.lang = (options.lang != null) ? options.lang : navigator.language
+
+    /** @type {number} 音声認識結果の候補の最大数 */
+    this.maxAlternatives = (options.maxAlternatives != null) ? options.maxAlternatives : 1
+
+    /** @type {string} 使用するマイクのdeviceId（空文字列なら既定のマイク。対応するバックエンドのみ） */
+    this.micId = (options.micId != null) ? options.micId : ''
+
+    /** @type {SpeechLog} 音声認識結果を管理するオブジェクト */
+    this.speechLog = (options.speechLog != null) ? options.speechLog : new SpeechLog()
+
+    /** @type {(text:string) => void} 音声認識結果に更新があった場合のイベント処理関数 */
+    this.onUpdated = (options.onUpdated != null) ? options.onUpdated : (text) => {}
+
+    /** @type {(state:string) => void} 状態が変化した場合のイベント処理関数 */
+    this.onStateChanged = (options.onStateChanged != null) ? options.onStateChanged : (state) => {}
+
+    /** @type {(message:string) => void} 致命的なエラー発生イベント処理関数 */
+    this.onCritical = (options.onCritical != null) ? options.onCritical : (text) => {}
+
+    /** @type {(message:string) => void} ログ出力時のイベント処理関数 */
+    this.onLog = (options.onLog != null) ? options.onLog : (text) => {}
+  }
+
+  init() {
+    // ２回以上の呼び出しはできない
+    if (this.isInitialized) return this.available
+    this.isInitialized = true
+
+    const backend = this.backend
+    backend.lang = this.lang
+    backend.maxAlternatives = this.maxAlternatives
+    backend.micId = this.micId
+    backend.onLog = (message) => { this.onLog(message) }
+    if (backend.init() !== true) {
+      this.onLog(`recognizer backend(${backend.name}) is not available.`)
+      this.available = false
+      this._setState('failed')
+      return false // 使えないのでここで終わり
+    }
+
+    // イベント処理
+    backend.onStart = () => {
+      this.lastActivity = Date.now()
+      this._setState('listening')
+      // 応答なしの確認は開始できてから行う（マイクの許可の確認中などは待ち時間が読めないため）
+      this._startWatchdog()
+    }
+    backend.onActivity = () => {
+      this.lastActivity = Date.now()
+    }
+    backend.onSpeechStart = () => {
+      this.lastActivity = Date.now()
+      this.isSpeechAvailable = true // onspeechstartできれば音声認識できる模様（例えばVivaldiはここに到達できない）
+      this.hasSpeech = true
+      this.failureCount = 0
+      this.speechLog.markSpeechStart()
+      this._setState('speech')
+    }
+    backend.onEnd = () => {
+      this._handleEnd()
+    }
+    backend.onError = (ev) => {
+      this.lastActivity = Date.now()
+      if (ev.error === 'no-speech' || ev.error === 'aborted') return // 無音や中断は異常ではない
+      // 許可がない場合などは、再開しても回復しないので停止する
+      if (SpeechRecognizer.FATAL_ERRORS.includes(ev.error)) {
+        this._fail(ev)
+        return
+      }
+      // 継続可能な場合はonendに到達して（間隔をあけて）自動的に再開する。
+      // 起動直後の一時的な通信エラーや、音声認識サーバーの起動待ちもここで再開を待つ（非対応ブラウザの判定は_handleEndで行う）
+      this.hasError = true
+      this.lastError = ev
+    }
+    backend.onResult = (ev) => {
+      this.lastActivity = Date.now()
+      this.hasSpeech = true
+      this.failureCount = 0
+      if (this.speechLog.update(ev)) {
+        let caption = this.speechLog.getCurrentSpeech()
+        this.onUpdated(caption)
+      }
+      if (this.isRunning) {
+        this._setState((this.speechLog.interimResults.length > 0) ? 'speech' : 'listening')
+      }
+    }
+
+    return true
+  } // init()の終端
+
+  start() {
+    this.onLog('SpeechRecognizer.start() begins.')
+    if (this.available !== true || this.isInitialized !== true) return false
+    // 実行中にstartするとエラーになるので何もしない
+    if (this.isRunning || this.isSuspended) return false
+    this._clearRestartTimer()
+    this.speechLog.reset()
+    this.backend.lang = this.lang
+    this.backend.maxAlternatives = this.maxAlternatives
+    this.backend.micId = this.micId
+    this.isRunning = true
+    this.hasError = false
+    this.hasSpeech = false
+    this.startedAt = Date.now()
+    this.lastActivity = this.startedAt
+    this._setState('starting')
+    try {
+      this.backend.start()
+    } catch(err) {
+      // 前回の終了処理が終わっていない場合など（間隔をあけて再開を試みる）
+      this.onLog(`SpeechRecognizer.start() : backend.start() failed (${err})`)
+      this.hasError = true
+      this._handleEnd()
+    }
+    return true
+  }
+
+  /**
+   * 音声認識を一時停止する、または再開する。
+   * @param {boolean} isSuspended 一時停止ならtrue、再開ならfalse
+   */
+  setSuspended(isSuspended) {
+    if (isSuspended === this.isSuspended) return
+    this.onLog(`SpeechRecognizer.setSuspended(${isSuspended})`)
+    this.isSuspended = isSuspended
+    if (isSuspended) {
+      this._clearRestartTimer()
+      if (this.isRunning) {
+        this.backend.stop()
+      } else if (this.state !== 'failed') {
+        this._setState('suspended')
+      }
+    } else {
+      this.failureCount = 0
+      this.start()
+    }
+  }
+
+  /**
+   * 音声認識エンジンを切り替える。
+   * 実行中の場合は旧エンジンを中断し（onendによる自動再開は起こさない）、新エンジンで開始する。
+   * @param {RecognizerBackend} backend 新しい音声認識エンジン
+   * @returns {boolean} trueなら新しいエンジンが利用可能
+   */
+  setBackend(backend) {
+    this.onLog(`SpeechRecognizer.setBackend(${backend.name})`)
+    const wasStarted = this.isInitialized
+    const old = this.backend
+    old.detach()
+    old.abort()
+    this._clearRestartTimer()
+    this._stopWatchdog()
+    this.backend = backend
+    this.isRunning = false
+    this.isInitialized = false
+    this.isSpeechAvailable = false
+    this.available = true
+    this.failureCount = 0
+    this.errorCountBeforeSpeech = 0
+    this.isRestartRequested = false
+    this.speechLog.reset()
+    this._setState('idle')
+    // 初期化前（音声認識の開始前）であれば差し替えのみ
+    if (wasStarted !== true) return true
+    if (this.init() !== true) return false
+    return this.start()
+  }
+
+  /**
+   * 音声認識の言語を変更する。
+   * 実行中の場合はいったんstopし、onendでの自動再開時に新しい言語を適用する。
+   * @param {string} lang 言語（BCP 47形式）
+   * @returns {boolean} trueなら言語が変更された
+   */
+  setLang(lang) {
+    if (typeof lang !== 'string' || lang.length < 1 || lang === this.lang) return false
+    this.onLog(`SpeechRecognizer.setLang(${lang})`)
+    this.lang = lang
+    this._restartIfRunning()
+    return true
+  }
+
+  /**
+   * 音声認識結果の候補の最大数を変更する（実行中の場合は再起動して反映する）。
+   * @param {number} count 候補の最大数（1以上）
+   * @returns {boolean} trueなら変更された
+   */
+  setMaxAlternatives(count) {
+    if (Number.isInteger(count) !== true || count < 1 || count === this.maxAlternatives) return false
+    this.onLog(`SpeechRecognizer.setMaxAlternatives(${count})`)
+    this.maxAlternatives = count
+    this._restartIfRunning()
+    return true
+  }
+
+  /**
+   * 使用するマイクを変更する（マイクを選べるバックエンドで実行中の場合は再起動して反映する）。
+   * @param {string} deviceId マイクのdeviceId（空文字列なら既定のマイク）
+   * @returns {boolean} trueなら変更された
+   */
+  setMicId(deviceId) {
+    if (typeof deviceId !== 'string' || deviceId === this.micId) return false
+    this.onLog(`SpeechRecognizer.setMicId(${deviceId})`)
+    this.micId = deviceId
+    if (this.backend.supportsMicSelection) {
+      this._restartIfRunning()
+    }
+    return true
+  }
+
+  /**
+   * 実行中であれば、いったんstopしてonendでの自動再開に任せる。
+   * （ここで直接startするとonendの自動再開と重なるため）
+   */
+  _restartIfRunning() {
+    if (this.isRunning) {
+      this.isRestartRequested = true
+      this.backend.stop()
+    }
+  }
+
+  /**
+   * 音声認識の終了を処理し、必要なら再開を予約する。
+   * 無音による通常の終了や設定変更による終了はすぐ再開し、異常終了の場合は待ち時間を倍々に延ばす。
+   */
+  _handleEnd() {
+    this.isRunning = false
+    this._stopWatchdog()
+    this.speechLog.reset()
+    if (this.available !== true) {
+      this._setState('failed')
+      return
+    }
+    if (this.isSuspended) {
+      this.isRestartRequested = false
+      this._setState('suspended')
+      return
+    }
+    const isShortRun = (this.hasSpeech !== true) && (Date.now() - this.startedAt < SpeechRecognizer.SHORT_RUN_TIME)
+    let wait = 0
+    if (this.isRestartRequested !== true && (this.hasError || isShortRun)) {
+      this.failureCount++
+      wait = Math.min(SpeechRecognizer.RESTART_WAIT_MIN * (2 ** (this.failureCount - 1)), SpeechRecognizer.RESTART_WAIT_MAX)
+    }
+    // start後、onspeechstartできないままエラーが続く場合は音声認識非対応ブラウザとみなす（例えばVivaldiはonspeechstartに到達できない）
+    if (this.hasError && this.isSpeechAvailable !== true) {
+      this.errorCountBeforeSpeech++
+      if (this.errorCountBeforeSpeech >= SpeechRecognizer.MAX_ERRORS_BEFORE_SPEECH) {
+        this._fail(this.lastError ?? { error: 'unknown', message: '' })
+        return
+      }
+    }
+    this.isRestartRequested = false
+    this._setState('restarting')
+    if (wait <= 0) {
+      this.start()
+      return
+    }
+    this.onLog(`SpeechRecognizer : restart after ${wait}ms (failure=${this.failureCount})`)
+    this.restartTimerId = window.setTimeout(() => {
+      this.restartTimerId = -1
+      this.start()
+    }, wait)
+  }
+
+  /**
+   * 音声認識が使えないものとして停止する（自動再開しない）。
+   * @param {{error:string, message:string}} ev 原因となったエラー
+   */
+  _fail(ev) {
+    this.available = false
+    this.onLog(`recognizer backend(${this.backend.name}) seems Not-Available because error(${ev.error}).`)
+    this._clearRestartTimer()
+    this._setState('failed')
+    this.onCritical(`エラー種別:${ev.error} (${ev.message})`)
+  }
+
+  /**
+   * 状態を変更して通知する。
+   * @param {'idle'|'starting'|'listening'|'speech'|'restarting'|'suspended'|'failed'} state 新しい状態
+   */
+  _setState(state) {
+    if (state === this.state) return
+    this.onLog(`SpeechRecognizer : state ${this.state} -> ${state}`)
+    this.state = state
+    this.onStateChanged(state)
+  }
+
+  _clearRestartTimer() {
+    if (this.restartTimerId >= 0) {
+      window.clearTimeout(this.restartTimerId)
+      this.restartTimerId = -1
+    }
+  }
+
+  /**
+   * 応答なしの確認を始める。
+   * onendが来ないまま止まってしまった音声認識を検出し、作り直して再開する。
+   */
+  _startWatchdog() {
+    this._stopWatchdog()
+    this.watchdogTimerId = window.setInterval(() => {
+      if (this.isRunning !== true) return
+      if (Date.now() - this.lastActivity < SpeechRecognizer.WATCHDOG_TIMEOUT) return
+      this.onLog(`SpeechRecognizer : no response for ${SpeechRecognizer.WATCHDOG_TIMEOUT}ms, recreate backend(${this.backend.name})`)
+      this.backend.recreate()
+      this.hasError = true
+      this._handleEnd()
+    }, SpeechRecognizer.WATCHDOG_INTERVAL)
+  }
+
+  _stopWatchdog() {
+    if (this.watchdogTimerId >= 0) {
+      window.clearInterval(this.watchdogTimerId)
+      this.watchdogTimerId = -1
+    }
+  }
+} // SpeechRecognizerクラスの終端
+
+
+/**
+ * 字幕つき録画の設定
+ */
+class CaptionRecorderOptions {
+  constructor() {
+    /** @type {HTMLElement} 録画範囲となる要素（画面全体） */
+    this.wholeArea = null
+    /** @type {HTMLVideoElement} カメラ映像の要素 */
+    this.video = null
+    /** @type {HTMLElement} 字幕表示領域のコンテナ（背景色と位置の取得に使う） */
+    this.captionContainer = null
+    /** @type {HTMLElement} 字幕表示要素（フォント設定の取得に使う） */
+    this.captionArea = null
+    /** @type {() => string} 現在表示中の字幕文字列を返す関数（外側から設定する） */
+    this.getCaption = () => ''
+    /**
+     * @type {() => {outlineWidth:number, outlineColor:string, textShadow:boolean, lineBackgroundColor:string|null}} 
+     * 文字の縁取り・影・行ごとの背景色（行ごとの背景がなければnull）を返す関数（外側から設定する）
+     */
+    this.getTextEffect = () => ({ outlineWidth: 0, outlineColor: '#000000', textShadow: false, lineBackgroundColor: null })
+    /** @type {HTMLImageElement} 静止画の要素（表示中の場合はカメラ映像の代わりに描画する） */
+    this.image = null
+    /** @type {() => string} 映像の代わりの背景色を返す関数（空文字列なら画面の背景色。外側から設定する） */
+    this.getBackgroundColor = () => ''
+    /** @type {() => boolean} カメラ映像を左右反転して表示している場合にtrueを返す関数（外側から設定する） */
+    this.isVideoMirrored = () => false
+    /** @type {boolean} マイク音声も録音する場合はtrue */
+    this.withAudio = true
+    /** @type {number} 録画のフレームレート */
+    this.frameRate = 30
+    /** @type {(blob:Blob) => void} 録画終了イベント処理関数（外側から設定する） */
+    this.onStopped = (blob) => {}
+    /** @type {(message:string) => void} ログ発生イベント処理関数（外側から設定する） */
+    this.onLog = (message) => {}
+  }
+}
+
+/**
+ * カメラ映像と字幕をcanvasに合成してMediaRecorderで録画する
+ */
+class CaptionRecorder {
+  /**
+   * コンストラクタ
+   * @param {CaptionRecorderOptions} options
+   */
+  constructor(options) {
+    /** @type {CaptionRecorderOptions} 設定 */
+    this.options = options
+
+    /** @type {(message:string) => void} ログ出力時のイベント処理関数 */
+    this.onLog = (options.onLog != null) ? options.onLog : (text) => {}
+
+    /** @type {HTMLCanvasElement} 合成用のcanvas */
+    this.canvas = document.createElement('canvas')
+
+    /** @type {MediaRecorder | null} 録画オブジェクト（録画中以外はnull） */
+    this.recorder = null
+
+    /** @type {MediaStream | null} 録音用のマイク音声（録画中以外はnull） */
+    this.audioStream = null
+
+    /** @type {Array<Blob>} 録画データ */
+    this.chunks = []
+
+    /** @type {number} 描画タイマーのID（録画中以外は-1） */
+    this.timerId = -1
+
+    /** @type {number} 画面上の寸法に対するcanvasの拡大率 */
+    this.scale = 1
+  }
+
+  /**
+   * このブラウザで録画できるか判定する。
+   * @returns {boolean} trueなら録画可能
+   */
+  static isAvailable() {
+    return ('MediaRecorder' in window) && (typeof HTMLCanvasElement.prototype.captureStream === 'function')
+  }
+
+  /**
+   * 録画中か判定する。
+   * @returns {boolean} trueなら録画中
+   */
+  isRecording() {
+    return this.recorder != null
+  }
+
+  /**
+   * 利用可能な録画形式を選ぶ。
+   * @returns {string} MIMEタイプ（選べない場合は空文字列）
+   */
+  _selectMimeType() {
+    const candidates = [
+      'video/webm;codecs=vp9,opus',
+      'video/webm;codecs=vp8,opus',
+      'video/webm'
+    ]
+    for (let type of candidates) {
+      if (MediaRecorder.isTypeSupported(type)) return type
+    }
+    return ''
+  }
+
+  /**
+   * 録画を開始する。
+   * @returns {Promise<boolean>} trueなら録画を開始した
+   */
+  async start() {
+    if (this.isRecording()) return false
+    if (CaptionRecorder.isAvailable() !== true) {
+      this.onLog('CaptionRecorder : MediaRecorder or captureStream is not available.')
+      return false
+    }
+
+    this._resizeCanvas()
+    this._drawFrame()
+    const stream = this.canvas.captureStream(this.options.frameRate)
+
+    // 音声は取得できなければ映像のみとする
+    if (this.options.withAudio) {
+      try {
+        this.audioStream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false })
+        this.audioStream.getAudioTracks().forEach(track => stream.addTrack(track))
+      } catch(err) {
+        this.onLog(`CaptionRecorder : audio is not available (${err})`)
+        this.audioStream = null
+      }
+    }
+
+    const mimeType = this._selectMimeType()
+    this.onLog(`CaptionRecorder.start() mimeType=${mimeType} size=(${this.canvas.width},${this.canvas.height})`)
+    this.chunks = []
+    this.recorder = (mimeType !== '') ? new MediaRecorder(stream, { mimeType: mimeType }) : new MediaRecorder(stream)
+    this.recorder.ondataavailable = (ev) => {
+      if (ev.data != null && ev.data.size > 0) {
+        this.chunks.push(ev.data)
+      }
+    }
+    this.recorder.onstop = () => {
+      const blob = new Blob(this.chunks, { type: 'video/webm' })
+      this.chunks = []
+      this.onLog(`CaptionRecorder stopped. size=${blob.size}`)
+      stream.getTracks().forEach(track => track.stop())
+      this.options.onStopped(blob)
+    }
+    this.recorder.start(1000)
+    this.timerId = window.setInterval(() => { this._drawFrame() }, 1000 / this.options.frameRate)
+    return true
+  }
+
+  /**
+   * 録画を終了する（録画データはonStoppedで渡される）。
+   * @returns {boolean} trueなら録画を終了した
+   */
+  stop() {
+    if (this.isRecording() !== true) return false
+    this.onLog('CaptionRecorder.stop()')
+    window.clearInterval(this.timerId)
+    this.timerId = -1
+    this.recorder.stop()
+    this.recorder = null
+    if (this.audioStream != null) {
+      this.audioStream.getTracks().forEach(track => track.stop())
+      this.audioStream = null
+    }
+    return true
+  }
+
+  /**
+   * 録画範囲とカメラ映像の解像度にあわせてcanvasの寸法を決める。
+   * 録画中に寸法を変えると録画が乱れるため、録画開始時のみ実行する。
+   */
+  _resizeCanvas() {
+    const areaRect = this.options.wholeArea.getBoundingClientRect()
+    const videoRect = this.options.video.getBoundingClientRect()
+    // カメラ映像の解像度を落とさない程度に拡大（ただし極端に大きくはしない）
+    let scale = 1
+    if (videoRect.width > 0 && this.options.video.videoWidth > 0) {
+      scale = Math.min(Math.max(this.options.video.videoWidth / videoRect.width, 1), 3)
+    }
+    // 動画エンコーダーの都合で幅と高さは偶数にする
+    this.canvas.width = Math.max(Math.round(areaRect.width * scale / 2) * 2, 2)
+    this.canvas.height = Math.max(Math.round(areaRect.height * scale / 2) * 2, 2)
+    this.scale = this.canvas.width / Math.max(areaRect.width, 1)
+  }
+
+  /**
+   * 画面の見た目にあわせて、カメラ映像と字幕をcanvasに描画する。
+   */
+  _drawFrame() {
+    const ctx = this.canvas.getContext('2d')
+    const areaRect = this.options.wholeArea.getBoundingClientRect()
+    ctx.save()
+    ctx.fillStyle = this.options.getBackgroundColor() || getComputedStyle(document.documentElement).backgroundColor || 'black'
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height)
+    ctx.scale(this.scale, this.scale)
+    ctx.translate(-areaRect.left, -areaRect.top)
+
+    const video = this.options.video
+    if (video.videoWidth > 0 && video.videoHeight > 0) {
+      const videoRect = video.getBoundingClientRect()
+      if (this.options.isVideoMirrored()) {
+        // 画面の左右反転の表示にあわせて、映像を左右反転して描画する
+        ctx.save()
+        ctx.translate(videoRect.left + videoRect.right, 0)
+        ctx.scale(-1, 1)
+        ctx.drawImage(video, videoRect.left, videoRect.top, videoRect.width, videoRect.height)
+        ctx.restore()
+      } else {
+        ctx.drawImage(video, videoRect.left, videoRect.top, videoRect.width, videoRect.height)
+      }
+    }
+    const image = this.options.image
+    if (image != null && image.naturalWidth > 0 && getComputedStyle(image).display !== 'none') {
+      const imageRect = image.getBoundingClientRect()
+      ctx.drawImage(image, imageRect.left, imageRect.top, imageRect.width, imageRect.height)
+    }
+
+    const containerStyle = getComputedStyle(this.options.captionContainer)
+    if (containerStyle.visibility !== 'hidden') {
+      this._drawCaption(ctx, containerStyle)
+    }
+    ctx.restore()
+  }
+
+  /**
+   * 字幕（背景と文字列）をcanvasに描画する。
+   * 文字列は字幕表示領域の幅で折り返し、画面表示と同様に下寄せで描画する。
+   * @param {CanvasRenderingContext2D} ctx 描画先
+   * @param {CSSStyleDeclaration} containerStyle 字幕表示領域のコンテナのスタイル
+   */
+  _drawCaption(ctx, containerStyle) {
+    const containerRect = this.options.captionContainer.getBoundingClientRect()
+    ctx.fillStyle = containerStyle.backgroundColor
+    ctx.fillRect(containerRect.left, containerRect.top, containerRect.width, containerRect.height)
+
+    const text = this.options.getCaption()
+    if (text == null || text.length < 1) return
+
+    const captionStyle = getComputedStyle(this.options.captionArea)
+    const fontSize = parseFloat(captionStyle.fontSize)
+    const lineHeight = isNaN(parseFloat(captionStyle.lineHeight)) ? fontSize * 1.3 : parseFloat(captionStyle.lineHeight)
+    const paddingLeft = parseFloat(containerStyle.paddingLeft) || 0
+    const paddingRight = parseFloat(containerStyle.paddingRight) || 0
+    const paddingBottom = parseFloat(containerStyle.paddingBottom) || 0
+    const textWidth = containerRect.width - paddingLeft - paddingRight
+
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(containerRect.left, containerRect.top, containerRect.width, containerRect.height)
+    ctx.clip()
+    ctx.font = `${captionStyle.fontWeight} ${captionStyle.fontSize} ${captionStyle.fontFamily}`
+    if ('letterSpacing' in ctx) {
+      ctx.letterSpacing = captionStyle.letterSpacing
+    }
+    ctx.textBaseline = 'middle'
+    ctx.lineJoin = 'round'
+    const effect = this.options.getTextEffect()
+    const lines = this._wrapText(ctx, text, textWidth)
+    const x = containerRect.left + paddingLeft
+    let y = containerRect.bottom - paddingBottom - lineHeight * lines.length + lineHeight / 2
+    lines.forEach(line => {
+      if (effect.lineBackgroundColor != null && line.length > 0) {
+        // 行ごとの背景（画面表示の左右の余白にあわせて少し広げる）
+        const margin = fontSize * 0.1
+        ctx.fillStyle = effect.lineBackgroundColor
+        ctx.fillRect(x - margin, y - lineHeight / 2, ctx.measureText(line).width + margin * 2, lineHeight)
+      }
+      // 影は最初に描くもの（縁取りがあれば縁取り）にだけつける
+      if (effect.textShadow) {
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.8)'
+        ctx.shadowOffsetX = ctx.shadowOffsetY = fontSize * 0.06 * this.scale
+        ctx.shadowBlur = fontSize * 0.12 * this.scale
+      }
+      if (effect.outlineWidth > 0) {
+        ctx.strokeStyle = effect.outlineColor
+        ctx.lineWidth = effect.outlineWidth * 2
+        ctx.strokeText(line, x, y)
+        ctx.shadowColor = 'transparent'
+      }
+      ctx.fillStyle = captionStyle.color
+      ctx.fillText(line, x, y)
+      ctx.shadowColor = 'transparent'
+      y += lineHeight
+    })
+    ctx.restore()
+  }
+
+  /**
+   * 文字列を指定の幅に収まるよう行に分割する（画面表示と同じく禁則処理をする）。
+   * @param {CanvasRenderingContext2D} ctx 描画先（フォント設定済み）
+   * @param {string} text 文字列
+   * @param {number} width 行の幅
+   * @returns {Array<string>} 行の配列
+   */
+  _wrapText(ctx, text, width) {
+    return CaptionLineBreaker.breakLines(text, width, (t) => ctx.measureText(t).width)
+      .map(range => text.substring(range.start, range.end))
+  }
+} // CaptionRecorderクラスの終端
+
+
+/**
+ * 字幕と表示設定を別ウィンドウ（BroadcastChannel）や他の端末（WebSocket中継サーバー）に配信する。
+ * 受信側（ビューアー）も同じクラスを使う。
+ * メッセージは次の形式のオブジェクトとする。
+ * - {type:'caption', segments:Array<CaptionSegment>} 現在の字幕
+ * - {type:'style', style:Object} 表示設定（設定オブジェクトのうち表示に関わる項目）
+ * - {type:'request'} ビューアーからの現状の再送要求
+ */
+class CaptionBroadcaster {
+  /** @type {string} BroadcastChannelの名前 */
+  static CHANNEL_NAME = 'CaptionCam/caption'
+
+  /** @type {number} 中継サーバーとの接続が切れた場合に再接続するまでの時間（ミリ秒） */
+  static RECONNECT_WAIT = 5000
+
+  /**
+   * コンストラクタ
+   * @param {(message:string) => void} onLog ログ発生時のイベント処理関数
+   */
+  constructor(onLog = undefined) {
+    /** @type {(message:string) => void} ログ発生イベント処理関数（外側から設定する） */
+    this.onLog = (onLog != null) ? onLog : (message) => {}
+
+    /** @type {(message:any) => void} メッセージ受信イベント処理関数（外側から設定する） */
+    this.onMessage = (message) => {}
+
+    /** @type {BroadcastChannel | null} 同じブラウザ内の別ウィンドウとの通信路（非対応ブラウザではnull） */
+    this.channel = null
+    if ('BroadcastChannel' in window) {
+      this.channel = new BroadcastChannel(CaptionBroadcaster.CHANNEL_NAME)
+      this.channel.onmessage = (ev) => { this.onMessage(ev.data) }
+    }
+
+    /** @type {string} 中継サーバーのURL（使わない場合は空文字列） */
+    this.relayUrl = ''
+
+    /** @type {WebSocket | null} 中継サーバーとの接続 */
+    this.socket = null
+
+    /** @type {number} 再接続タイマーのID（未設定は-1） */
+    this.reconnectTimerId = -1
+  }
+
+  /**
+   * 中継サーバーのURLを設定して接続する（空文字列なら切断する）。
+   * @param {string} url 中継サーバーのURL（ws://またはwss://）
+   */
+  setRelayUrl(url) {
+    if (url === this.relayUrl) return
+    this.onLog(`CaptionBroadcaster.setRelayUrl(${url})`)
+    this.relayUrl = url
+    this._disconnect()
+    if (url.length > 0) {
+      this._connect()
+    }
+  }
+
+  /**
+   * メッセージを配信する。
+   * @param {any} message 配信するメッセージ（JSONにできるオブジェクト）
+   */
+  send(message) {
+    if (this.channel != null) {
+      this.channel.postMessage(message)
+    }
+    if (this.socket != null && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message))
+    }
+  }
+
+  /**
+   * 中継サーバーに接続する（切断された場合は一定時間後に再接続する）。
+   */
+  _connect() {
+    try {
+      this.socket = new WebSocket(this.relayUrl)
+    } catch(err) {
+      this.onLog(`CaptionBroadcaster : cannot connect relay (${err})`)
+      this.socket = null
+      return
+    }
+    this.socket.onopen = () => {
+      this.onLog('CaptionBroadcaster : relay connected')
+      this.send({ type: 'request' })
+    }
+    this.socket.onmessage = (ev) => {
+      try {
+        this.onMessage(JSON.parse(ev.data))
+      } catch(err) {
+        this.onLog(`CaptionBroadcaster : invalid message (${err})`)
+      }
+    }
+    this.socket.onclose = () => {
+      this.onLog('CaptionBroadcaster : relay closed')
+      this.socket = null
+      this.reconnectTimerId = window.setTimeout(() => {
+        this.reconnectTimerId = -1
+        if (this.relayUrl.length > 0) this._connect()
+      }, CaptionBroadcaster.RECONNECT_WAIT)
+    }
+  }
+
+  /**
+   * 中継サーバーとの接続を切る（再接続もしない）。
+   */
+  _disconnect() {
+    if (this.reconnectTimerId >= 0) {
+      window.clearTimeout(this.reconnectTimerId)
+      this.reconnectTimerId = -1
+    }
+    if (this.socket != null) {
+      this.socket.onclose = null
+      this.socket.close()
+      this.socket = null
+    }
+  }
+} // CaptionBroadcasterクラスの終端
+
+
+/**
+ * 字幕のセッション（起動してから閉じるまでの字幕）をIndexedDBに保存する。
+ * 確定した字幕項目をその都度保存するので、再読み込みやブラウザの異常終了があっても失われない。
+ * - sessionsストア：{id, startTime, device, lang, entryCount}
+ * - entriesストア：{id, sessionId, entry:SpeechEntry}（sessionIdで検索できる）
+ */
+class SessionStore {
+  /** @type {string} データベース名 */
+  static DB_NAME = 'CaptionCam'
+
+  /** @type {number} データベースのバージョン */
+  static DB_VERSION = 1
+
+  /**
+   * コンストラクタ
+   * @param {(message:string) => void} onLog ログ発生時のイベント処理関数
+   */
+  constructor(onLog = undefined) {
+    /** @type {IDBDatabase | null} データベース（開く前はnull） */
+    this.db = null
+    /** @type {(message:string) => void} ログ発生イベント処理関数 */
+    this.onLog = (onLog != null) ? onLog : (message) => {}
+  }
+
+  /**
+   * IndexedDBが使えるか判定する。
+   * @returns {boolean} trueなら使える
+   */
+  static isAvailable() {
+    return ('indexedDB' in window) && window.indexedDB != null
+  }
+
+  /**
+   * データベースを開く（初回はストアを作る）。
+   * @returns {Promise<IDBDatabase>} データベース
+   */
+  async open() {
+    if (this.db != null) return this.db
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(SessionStore.DB_NAME, SessionStore.DB_VERSION)
+      request.onupgradeneeded = () => {
+        this.onLog(`SessionStore : create database ${SessionStore.DB_NAME}`)
+        const db = request.result
+        db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true })
+        const entries = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true })
+        entries.createIndex('sessionId', 'sessionId')
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    return this.db
+  }
+
+  /**
+   * IndexedDBの要求の完了を待つ。
+   * @param {IDBRequest} request 要求
+   * @returns {Promise<any>} 要求の結果
+   */
+  static _wait(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * トランザクションの完了を待つ。
+   * @param {IDBTransaction} tx トランザクション
+   * @returns {Promise<void>}
+   */
+  static _complete(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve()
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+  }
+
+  /**
+   * セッションを作る。
+   * @param {{startTime:number, device:string, lang:string}} info セッションの情報（startTimeはDate.now()の値）
+   * @returns {Promise<number>} セッションのID
+   */
+  async createSession(info) {
+    const db = await this.open()
+    const tx = db.transaction('sessions', 'readwrite')
+    const id = await SessionStore._wait(tx.objectStore('sessions').add({ ...info, entryCount: 0 }))
+    await SessionStore._complete(tx)
+    return id
+  }
+
+  /**
+   * 字幕項目を追加する。
+   * @param {number} sessionId セッションのID
+   * @param {SpeechEntry} entry 字幕項目
+   * @returns {Promise<number>} 字幕項目のID（更新時に使う）
+   */
+  async addEntry(sessionId, entry) {
+    const db = await this.open()
+    const tx = db.transaction(['sessions', 'entries'], 'readwrite')
+    const id = await SessionStore._wait(tx.objectStore('entries').add({ sessionId: sessionId, entry: entry }))
+    const sessions = tx.objectStore('sessions')
+    const session = await SessionStore._wait(sessions.get(sessionId))
+    if (session != null) {
+      session.entryCount++
+      sessions.put(session)
+    }
+    await SessionStore._complete(tx)
+    return id
+  }
+
+  /**
+   * 保存済みの字幕項目を更新する（翻訳結果や修正を反映する）。
+   * @param {number} id 字幕項目のID
+   * @param {number} sessionId セッションのID
+   * @param {SpeechEntry} entry 字幕項目
+   */
+  async putEntry(id, sessionId, entry) {
+    const db = await this.open()
+    const tx = db.transaction('entries', 'readwrite')
+    tx.objectStore('entries').put({ id: id, sessionId: sessionId, entry: entry })
+    await SessionStore._complete(tx)
+  }
+
+  /**
+   * セッションの一覧を取得する。
+   * @returns {Promise<Array<{id:number, startTime:number, device:string, lang:string, entryCount:number}>>} セッションの配列（新しい順）
+   */
+  async listSessions() {
+    const db = await this.open()
+    const tx = db.transaction('sessions', 'readonly')
+    const sessions = await SessionStore._wait(tx.objectStore('sessions').getAll())
+    return sessions.sort((a, b) => b.startTime - a.startTime)
+  }
+
+  /**
+   * セッションの字幕項目を取得する。
+   * @param {number} sessionId セッションのID
+   * @returns {Promise<Array<SpeechEntry>>} 字幕項目の配列（保存順）
+   */
+  async getEntries(sessionId) {
+    const db = await this.open()
+    const tx = db.transaction('entries', 'readonly')
+    const records = await SessionStore._wait(tx.objectStore('entries').index('sessionId').getAll(sessionId))
+    return records.sort((a, b) => a.id - b.id).map(r => r.entry)
+  }
+
+  /**
+   * セッションとその字幕項目を削除する。
+   * @param {number} sessionId セッションのID
+   */
+  async deleteSession(sessionId) {
+    const db = await this.open()
+    const tx = db.transaction(['sessions', 'entries'], 'readwrite')
+    tx.objectStore('sessions').delete(sessionId)
+    const entries = tx.objectStore('entries')
+    const keys = await SessionStore._wait(entries.index('sessionId').getAllKeys(sessionId))
+    keys.forEach(key => entries.delete(key))
+    await SessionStore._complete(tx)
+    this.onLog(`SessionStore : session ${sessionId} deleted (${keys.length} entries)`)
+  }
+
+  /**
+   * 保存数の上限を超えた古いセッションを削除する。
+   * @param {number} limit 保存するセッションの最大数
+   */
+  async trim(limit) {
+    const sessions = await this.listSessions()
+    for (let session of sessions.slice(limit)) {
+      await this.deleteSession(session.id)
+    }
+  }
+} // SessionStoreクラスの終端
+
+
+/*
+ ========== ========== ========== ========== ========== ==========
+ 起動時設定
+ ========== ========== ========== ========== ========== ==========
+*/
+window.addEventListener('DOMContentLoaded', (ev) => {
+
+  const MY_NAME = 'CaptionCam'
+  const STORAGE_KEY = MY_NAME + '/config'
+  const DICTIONARY_STORAGE_KEY = MY_NAME + '/dictionary'
+  const PROFILES_STORAGE_KEY = MY_NAME + '/profiles'
+
+  const FONT_SIZE_MAX = 20
+  const FONT_SIZE_MIN = 3
+  const LINE_HEIGHT_MAX = 200
+  const LINE_HEIGHT_MIN = 100
+  const OUTLINE_WIDTH_MAX = 20
+  const LETTER_SPACING_MAX = 0.5
+  const CAPTION_LINES_MAX = 10
+
+  /** @type {number} SpeechRecognitionオブジェクト生成から音声認識開始までの待ち時間 */
+  const WAIT_SPEECH_RECOGNITION = location.hash.toLowerCase() === '#app' ? 2000 : 10
+  // WebView2だと、これを1000msec程度は確保しないと失敗する模様。
+  // このため、WebView2に与えるURLは「#app」をつけることとして区別する。
+  // 通常のブラウザでは、このような待ち時間は本来不要と思われる。
+
+  /** @type {'normal'|'viewer'|'overlay'} 動作モード（URLのハッシュまたはクエリパラメータ「mode」で指定） */
+  const APP_MODE = getAppMode()
+
+  /** @type {boolean} 字幕表示専用のビューアーとして動作する場合はtrue（URLに「#viewer」をつける） */
+  const IS_VIEWER = APP_MODE === 'viewer'
+
+  /** @type {boolean} 配信ソフト向けに字幕のみを透明背景で表示する場合はtrue（URLに「#overlay」をつける） */
+  const IS_OVERLAY = APP_MODE === 'overlay'
+
+  /** @type {boolean} 設定画面を開けなくする場合はtrue（キオスク端末向け。クエリパラメータ「lock=1」で指定） */
+  const IS_LOCKED = parseBooleanText(new URLSearchParams(location.search).get('lock') ?? '') === true
+
+  /** @type {Object<string,string>} 設定項目名の代わりに使えるクエリパラメータ名（キーはパラメータ名、値は設定項目名） */
+  const URL_PARAMETER_ALIASES = {
+    outline: 'outlineWidth',
+    shadow: 'textShadow'
+  }
+
+  /**
+   * @type {Array<string>} URLのクエリパラメータで指定できる設定項目（表示、カメラ、言語など）。
+   * 音声認識サーバー、中継サーバー、翻訳サービスの指定は含めない（細工したリンクで、マイクの音声や字幕が第三者のサーバーに送られないようにするため）。
+   */
+  const URL_PARAMETER_KEYS = ['source', 'fontFamily', 'isBold', 'fontSize', 'lineHeight', 'clearTime', 'position',
+    'videoSource', 'videoColor', 'cameraId', 'facingMode', 'cameraSettings', 'lang', 'altLang', 'maxAlternatives',
+    'confidenceThreshold', 'micId', 'silenceWarningTime', 'outlineWidth', 'outlineColor', 'textShadow', 'textColor',
+    'backgroundColor', 'backgroundOpacity', 'lineBackground', 'letterSpacing', 'translationLang', 'displayMode',
+    'captionLines', 'speakers', 'keyBindings']
+
+  /** @type {Array<string>} ビューアーに配信する設定項目（表示に関わるもの） */
+  const VIEWER_STYLE_KEYS = ['fontFamily', 'isBold', 'fontSize', 'lineHeight', 'confidenceThreshold',
+    'outlineWidth', 'outlineColor', 'textShadow', 'textColor', 'backgroundColor', 'backgroundOpacity',
+    'lineBackground', 'letterSpacing', 'displayMode', 'captionLines', 'speakers']
+
+  /** 
+   * @type {Object<string, {label:string, style:Object}>} 字幕の見た目のプリセット（キーはプリセットの名前）。
+   * styleは設定オブジェクトの一部として singleConfigToScreen() で反映する。
+   */
+  const CAPTION_STYLE_PRESETS = {
+    standard: {
+      label: '標準（半透明の黒背景）',
+      style: { textColor: '#ffffff', backgroundColor: '#000000', backgroundOpacity: 60, lineBackground: false,
+        outlineWidth: 0, outlineColor: '#000000', textShadow: false, letterSpacing: 0 }
+    },
+    broadcast: {
+      label: '放送風（白文字・行ごとの黒帯）',
+      style: { textColor: '#ffffff', backgroundColor: '#000000', backgroundOpacity: 80, lineBackground: true,
+        outlineWidth: 0, outlineColor: '#000000', textShadow: false, letterSpacing: 0.05 }
+    },
+    highContrast: {
+      label: '高コントラスト（黒背景に黄文字）',
+      style: { textColor: '#ffff00', backgroundColor: '#000000', backgroundOpacity: 100, lineBackground: false,
+        outlineWidth: 0, outlineColor: '#000000', textShadow: false, letterSpacing: 0.05 }
+    },
+    chromaKey: {
+      label: 'クロマキー（緑背景・黒縁取り）',
+      style: { textColor: '#ffffff', backgroundColor: '#00ff00', backgroundOpacity: 100, lineBackground: false,
+        outlineWidth: 3, outlineColor: '#000000', textShadow: false, letterSpacing: 0 }
+    }
+  }
+
+  /**
+   * @type {Object<string, {label:string, keys:Array<string>, source?:string}>} ショートカットキーで実行できる操作（キーは操作の名前）。
+   * keysは初期値のキーの名前（KeyboardEvent.keyの値。１文字のキーは小文字、空白は'Space'）。
+   * sourceがあれば、その字幕ソースの場合のみ働き、同じキーの他の操作より優先する。
+   * PageUp、PageDown、bはプレゼンテーション用のリモコン（クリッカー）から送られるキー。
+   */
+  const SHORTCUT_ACTIONS = {
+    toggleConfig: { label: '設定の表示／非表示', keys: ['c'] },
+    cycleSource: { label: '字幕（自動→停止→手動入力→字幕ファイル→台本）の切替', keys: ['s'] },
+    toggleMute: { label: '字幕の停止／再開', keys: ['b', '.'] },
+    fontSizeUp: { label: '文字を大きく', keys: ['+', '=', ';', 'PageUp'] },
+    fontSizeDown: { label: '文字を小さく', keys: ['-', 'PageDown'] },
+    cyclePosition: { label: '配置（下→上→左→右）の切替', keys: ['p'] },
+    clearCaption: { label: '字幕の消去', keys: ['x', 'Delete'] },
+    toggleRecording: { label: '録画の開始／停止', keys: ['r'] },
+    swapLang: { label: '言語の切替', keys: ['l'] },
+    nextSpeaker: { label: '話者の切替（次の話者へ）', keys: ['n'] },
+    selectSpeaker: { label: '話者の選択（キーの順に1人目、2人目…）', keys: ['1', '2', '3', '4', '5', '6', '7', '8', '9'] },
+    noSpeaker: { label: '話者なし', keys: ['0'] },
+    scriptNext: { label: '台本：次の行を表示', keys: ['ArrowRight', 'PageDown'], source: 'script' },
+    scriptBack: { label: '台本：１行戻る', keys: ['ArrowLeft', 'PageUp'], source: 'script' },
+    scriptSkip: { label: '台本：次の行を飛ばす', keys: ['ArrowDown'], source: 'script' },
+    toggleHelp: { label: 'ショートカットキーの一覧', keys: ['?', 'h'] }
+  }
+
+  /** @type {Array<string>} 話者名の表示色（話者の一覧の並び順に使う） */
+  const SPEAKER_COLORS = ['#ffd040', '#80d0ff', '#90ff80', '#ff9090', '#d0a0ff', '#ffb070']
+
+  /**
+   * URLから動作モードを取得する。
+   * ハッシュ（#viewer、#overlay）とクエリパラメータ（?mode=viewer、?mode=overlay）のどちらでも指定できる。
+   * @returns {'normal'|'viewer'|'overlay'} 動作モード
+   */
+  function getAppMode() {
+    const hash = location.hash.toLowerCase()
+    const mode = (new URLSearchParams(location.search).get('mode') || '').toLowerCase()
+    if (hash === '#viewer' || mode === 'viewer') return 'viewer'
+    if (hash === '#overlay' || mode === 'overlay') return 'overlay'
+    return 'normal'
+  }
+
+  /**
+   * 真偽値を表す文字列（1/0、true/false、on/off、yes/no）を解釈する。
+   * @param {string} text 文字列
+   * @returns {boolean | undefined} 真偽値（解釈できなければundefined）
+   */
+  function parseBooleanText(text) {
+    const lower = text.trim().toLowerCase()
+    if (['1', 'true', 'on', 'yes'].includes(lower)) return true
+    if (['0', 'false', 'off', 'no'].includes(lower)) return false
+    return undefined
+  }
+
+  /** @type {Array<string>} ログ */
+  const logMessages = []
+
+  /**
+   * ログを出力する。
+   * @param {string} message ログメッセージ
+   */
+  function log(message) {
+    let ts = new Date()
+    let msg = ts.toISOString() + " " + message
+    console.log(msg)
+    logMessages.push(msg+"\n")
+  }
+
+  /**
+   * 引数が有限の数値か判定する。
+   * https://zero-plus-one.jp/javascript/isnumber/
+   * @param {any} value 判定対象
+   * @returns {boolean} trueなら数値
+   */
+  function isNumber(value) {
+    return (typeof value === 'number') && isFinite(value)
+  }
+
+  /**
+   * ブラウザ表示領域が縦長か判定する。
+   * @returns {boolean} trueなら縦長
+   */
+  function isPortrait() {
+    return window.innerHeight > window.innerWidth
   }
 
   // ========== ========== 設定 ========== ==========
 
-  /** 設定データ */
-  const config = makeDefaultConfig()
+  /** 設定データ */
+  const config = makeDefaultConfig()
+
+  function makeDefaultConfig() {
+    return {
+      /** @type {'auto'|'mute'|'input'|'subtitle'|'script'} 字幕ソース（音声認識、字幕領域非表示、手動入力、字幕ファイル、台本） */
+      source: 'auto',
+      /** @type {string} フォントファミリ */
+      fontFamily: 'sans-serif',
+      /** @type {boolean} 太字 */
+      isBold: false,
+      /** @type {number} フォントサイズ（vhで指定）。デフォルト値は「1行=表示領域の10%」になるよう設定 */
+      fontSize: 7.6, 
+      /** @type {number} 行の高さの、フォント高さに対する比率の%値。7.6*130/100=9.88≒10 */
+      lineHeight: 130,
+      /** @type {number} 自動で字幕を消去するまでの秒数 */
+      clearTime: 10,
+      /** @type {'bottom'|'top'|'left'|'right'} 字幕領域の位置（あわせて他の配置も変化する） */
+      position: 'bottom',
+      /** @type {'camera'|'color'} 映像の種類（カメラ、単色）。画面共有と動画ファイル、静止画は起動のたびに選び直す */
+      videoSource: 'camera',
+      /** @type {string} 映像を単色にした場合の色（#rrggbb形式） */
+      videoColor: '#000000',
+      /** @type {string} 使用するカメラのdeviceId（空文字列なら指定なし） */
+      cameraId: '',
+      /** @type {'user'|'environment'} カメラの向き（前面、背面）。カメラを指定していない場合に使う */
+      facingMode: 'user',
+      /** @type {Object<string,Object>} カメラごとの設定（キーはカメラのdeviceId、値は左右反転、ズーム、ライト、解像度、フレームレート） */
+      cameraSettings: {},
+      /** @type {string} 音声認識の言語（BCP 47形式）。デフォルトはブラウザの言語 */
+      lang: navigator.language,
+      /** @type {string} ホットキーで切り替える先の言語 */
+      altLang: navigator.language.startsWith('en') ? 'ja-JP' : 'en-US',
+      /** @type {number} 音声認識結果の候補の最大数（2以上なら第２候補以降を字幕ログに残す） */
+      maxAlternatives: 1,
+      /** @type {number} この信頼度未満の確定結果を目立たない表示にする（0なら強調しない） */
+      confidenceThreshold: 0.5,
+      /** @type {'browser'|'websocket'} 音声認識エンジン（ブラウザ内蔵、ローカルの音声認識サーバー） */
+      engine: 'browser',
+      /** @type {string} ローカルの音声認識サーバーのURL（engineが'websocket'の場合に使う） */
+      engineUrl: 'ws://localhost:2700',
+      /** @type {string} 使用するマイクのdeviceId（空文字列なら既定のマイク。ブラウザ内蔵の認識エンジンでは入力レベルの表示のみに使う） */
+      micId: '',
+      /** @type {number} マイクの音が届かない状態がこの秒数続いたら警告する（0なら警告しない。警告する場合は入力レベルを測り続ける） */
+      silenceWarningTime: 0,
+      /** @type {string} 字幕を他の端末に配信する中継サーバーのURL（空文字列なら使わない） */
+      relayUrl: '',
+      /** @type {number} 文字の縁取りの太さ（px。0なら縁取りなし） */
+      outlineWidth: 0,
+      /** @type {string} 文字の縁取りの色（#rrggbb形式） */
+      outlineColor: '#000000',
+      /** @type {boolean} 文字に影をつける場合はtrue */
+      textShadow: false,
+      /** @type {string} 文字の色（#rrggbb形式） */
+      textColor: '#ffffff',
+      /** @type {string} 字幕の背景色（#rrggbb形式） */
+      backgroundColor: '#000000',
+      /** @type {number} 字幕の背景の不透明度（%。0なら背景なし） */
+      backgroundOpacity: 60,
+      /** @type {boolean} 字幕領域全体ではなく、文字のある行ごとに背景をつける場合はtrue */
+      lineBackground: false,
+      /** @type {number} 文字の間隔（em。0なら標準） */
+      letterSpacing: 0,
+      /** @type {'none'|'http'} 翻訳サービス（翻訳なし、HTTPの翻訳サーバー） */
+      translationProvider: 'none',
+      /** @type {string} 翻訳先の言語（BCP 47形式）。'auto'なら切替先の言語 */
+      translationLang: 'auto',
+      /** @type {Object<string,Object>} 翻訳サービスごとの設定（キーは翻訳サービスの名前） */
+      translationSettings: {
+        http: { ...HttpTranslationProvider.DEFAULT_SETTINGS }
+      },
+      /** @type {'free'|'rollup'|'popon'} 字幕の表示方式（自由表示、ロールアップ、ポップオン） */
+      displayMode: 'free',
+      /** @type {number} ロールアップ、ポップオンで表示する行数 */
+      captionLines: 2,
+      /** @type {string} 台本（１行を１つの字幕として、字幕ソースが台本の場合に順に表示する） */
+      scriptText: '',
+      /** @type {Array<string>} 話者名の一覧（並び順で表示色と番号のキーが決まる） */
+      speakers: [],
+      /** @type {number} 字幕の履歴（IndexedDB）に保存するセッション数（0なら保存しない） */
+      historyLimit: 20,
+      /** @type {Object<string, Array<string>>} ショートカットキーの割り当て（キーは操作の名前、値はキーの名前の配列） */
+      keyBindings: Object.fromEntries(Object.entries(SHORTCUT_ACTIONS).map(([action, a]) => [action, [...a.keys]]))
+    }
+  }
+
+  /** @type {Array<string>} 翻訳サービスの設定のうち、プロファイルや動作ログに残さない秘密の項目 */
+  const SECRET_SETTING_KEYS = ['apiKey']
+
+  /**
+   * 設定オブジェクトの秘密の項目（翻訳サービスのAPIキー）を伏せた複製を作る。
+   * プロファイル（他の端末に配るもの）や動作ログに秘密の項目を残さないために使う。
+   * @param {Object} cfg 設定オブジェクト（一部の項目のみでもよい）
+   * @param {string | null} mask 伏せ字（nullなら項目ごと除く）
+   * @returns {Object} 秘密の項目を伏せた複製
+   */
+  function hideSecrets(cfg, mask = null) {
+    const copy = JSON.parse(JSON.stringify(cfg))
+    const translationSettings = copy.translationSettings
+    if (translationSettings == null || typeof translationSettings !== 'object') return copy
+    for (const settings of Object.values(translationSettings)) {
+      if (settings == null || typeof settings !== 'object') continue
+      SECRET_SETTING_KEYS.forEach(key => {
+        if (settings.hasOwnProperty(key) !== true) return
+        if (mask == null) {
+          delete settings[key]
+        } else if (settings[key] !== '') {
+          settings[key] = mask
+        }
+      })
+    }
+    return copy
+  }
+
+  /**
+   * 翻訳サービスごとの設定に、現在の秘密の項目（翻訳サービスのAPIキー）を補う。
+   * 秘密の項目はプロファイルに保存しないので、プロファイルを切り替えても現在の値を引き継ぐ。
+   * @param {Object<string,Object>} translationSettings 翻訳サービスごとの設定
+   * @returns {Object<string,Object>} 秘密の項目を補った複製
+   */
+  function keepCurrentSecrets(translationSettings) {
+    const result = JSON.parse(JSON.stringify(translationSettings))
+    for (const [name, current] of Object.entries(config.translationSettings)) {
+      if (current == null || typeof current !== 'object') continue
+      SECRET_SETTING_KEYS.forEach(key => {
+        if (typeof current[key] !== 'string') return
+        result[name] = { ...result[name], [key]: current[key] }
+      })
+    }
+    return result
+  }
+
+  /**
+   * 設定オブジェクトを画面に反映する。
+   * @param {any} cfg 
+   */
+  function singleConfigToScreen(cfg) {
+    if (setSource(cfg.source)) {
+      config.source = cfg.source
+      setSourceRadioButton(cfg.source)
+      log(`source=${cfg.source}`)
+    }
+    if (cfg.fontFamily != null) {
+      if (setFontFamily(cfg.fontFamily)) {
+        log(`fontFamily=${cfg.fontFamily}`)
+      } else {
+        cfg.fontFamily = 'sans-serif'
+      }
+    }
+    if (cfg.isBold != null) {
+      if (setFontWeight(cfg.isBold)) {
+        log(`isBold=${cfg.isBold}`)
+      }
+    }
+    if (cfg.fontSize != null) {
+      setCaptionFontSize(cfg.fontSize)
+      log(`fontSize=${cfg.fontSize}`)
+    }
+    if (cfg.lineHeight != null) {
+      setCaptionLineHeight(cfg.lineHeight)
+      log(`lineHeight=${cfg.lineHeight}`)
+    }
+    if (cfg.clearTime != null) {
+      setCaptionAutoClearTime(cfg.clearTime.toString())
+      log(`clearTime=${cfg.clearTime}`)
+    }
+    if (setLayout(cfg.position)) {
+      config.position = cfg.position
+      setPositionRadioButton(cfg.position)
+      log(`position=${cfg.position}`)
+    }
+    if (setVideoColor(cfg.videoColor)) {
+      log(`videoColor=${cfg.videoColor}`)
+    }
+    if (setVideoSource(cfg.videoSource)) {
+      log(`videoSource=${cfg.videoSource}`)
+    }
+    if (setCameraId(cfg.cameraId)) {
+      log(`cameraId=${cfg.cameraId}`)
+    }
+    if (setFacingMode(cfg.facingMode)) {
+      log(`facingMode=${cfg.facingMode}`)
+    }
+    if (setCameraSettings(cfg.cameraSettings)) {
+      log(`cameraSettings=${JSON.stringify(cfg.cameraSettings)}`)
+    }
+    if (setEngineUrl(cfg.engineUrl)) {
+      log(`engineUrl=${cfg.engineUrl}`)
+    }
+    if (setRecognitionEngine(cfg.engine)) {
+      log(`engine=${cfg.engine}`)
+    }
+    if (setMicId(cfg.micId)) {
+      log(`micId=${cfg.micId}`)
+    }
+    if (cfg.silenceWarningTime != null) {
+      if (setSilenceWarningTime(cfg.silenceWarningTime.toString())) {
+        log(`silenceWarningTime=${cfg.silenceWarningTime}`)
+      }
+    }
+    if (setRecognitionLang(cfg.lang)) {
+      log(`lang=${cfg.lang}`)
+    }
+    if (setAltLang(cfg.altLang)) {
+      log(`altLang=${cfg.altLang}`)
+    }
+    if (setRelayUrl(cfg.relayUrl)) {
+      log(`relayUrl=${cfg.relayUrl}`)
+    }
+    if (setTranslationSettings(cfg.translationSettings)) {
+      log(`translationSettings=${JSON.stringify(hideSecrets({ translationSettings: cfg.translationSettings }, '***').translationSettings)}`)
+    }
+    if (setTranslationProvider(cfg.translationProvider)) {
+      log(`translationProvider=${cfg.translationProvider}`)
+    }
+    if (setTranslationLang(cfg.translationLang)) {
+      log(`translationLang=${cfg.translationLang}`)
+    }
+    // 縁取りと影、背景は関連する項目をまとめて設定する（指定のない項目は現在の値のまま）
+    if (cfg.outlineWidth != null || cfg.outlineColor != null || cfg.textShadow != null) {
+      if (setTextEffect(cfg.outlineWidth ?? config.outlineWidth, cfg.outlineColor ?? config.outlineColor, cfg.textShadow ?? config.textShadow)) {
+        log(`outlineWidth=${config.outlineWidth} outlineColor=${config.outlineColor} textShadow=${config.textShadow}`)
+      }
+    }
+    if (setTextColor(cfg.textColor)) {
+      log(`textColor=${cfg.textColor}`)
+    }
+    if (cfg.backgroundColor != null || cfg.backgroundOpacity != null || cfg.lineBackground != null) {
+      if (setCaptionBackground(cfg.backgroundColor ?? config.backgroundColor, cfg.backgroundOpacity ?? config.backgroundOpacity, cfg.lineBackground ?? config.lineBackground)) {
+        log(`backgroundColor=${config.backgroundColor} backgroundOpacity=${config.backgroundOpacity} lineBackground=${config.lineBackground}`)
+      }
+    }
+    if (cfg.letterSpacing != null) {
+      if (setLetterSpacing(cfg.letterSpacing)) {
+        log(`letterSpacing=${cfg.letterSpacing}`)
+      }
+    }
+    if (cfg.maxAlternatives != null) {
+      setMaxAlternatives(cfg.maxAlternatives.toString())
+      log(`maxAlternatives=${cfg.maxAlternatives}`)
+    }
+    if (cfg.confidenceThreshold != null) {
+      setConfidenceThreshold(cfg.confidenceThreshold.toString())
+      log(`confidenceThreshold=${cfg.confidenceThreshold}`)
+    }
+    if (cfg.captionLines != null) {
+      if (setCaptionLines(cfg.captionLines)) {
+        log(`captionLines=${cfg.captionLines}`)
+      }
+    }
+    if (setDisplayMode(cfg.displayMode)) {
+      log(`displayMode=${cfg.displayMode}`)
+    }
+    if (cfg.scriptText != null) {
+      if (setScriptText(cfg.scriptText)) {
+        log(`scriptText=${config.scriptText.length}[chars]`)
+      }
+    }
+    if (cfg.speakers != null) {
+      if (setSpeakers(cfg.speakers)) {
+        log(`speakers=${cfg.speakers.join(',')}`)
+      }
+    }
+    if (cfg.historyLimit != null) {
+      if (setHistoryLimit(cfg.historyLimit)) {
+        log(`historyLimit=${cfg.historyLimit}`)
+      }
+    }
+    if (cfg.keyBindings != null) {
+      if (setKeyBindings(cfg.keyBindings)) {
+        log(`keyBindings=${JSON.stringify(config.keyBindings)}`)
+      }
+    }
+  }
+
+  /**
+   * 設定（localStorageまたはデフォルト値）を画面に反映する。
+   */
+  function configToScreen() {
+    log(`configToScreen default settings : ${JSON.stringify(hideSecrets(config, '***'))}`)
+    const configJson = localStorage.getItem(STORAGE_KEY)
+    log(`config(${STORAGE_KEY}) : ${(configJson != null) ? `${configJson.length}[chars]` : configJson}`)
+    if (configJson != null && configJson.length > 0) {
+      try {
+        const configStorage = JSON.parse(configJson)
+        for (let key in configStorage) {
+          if (config.hasOwnProperty(key)) {
+            config[key] = configStorage[key]
+          }
+        }
+      } catch(err) {
+        log(`JSON parse error : ${err}`)
+        localStorage.removeItem(STORAGE_KEY)
+      }
+    }
+    log(`configToScreen final settings : ${JSON.stringify(hideSecrets(config, '***'))}`)
+    singleConfigToScreen(config)
+
+    // URLで指定された項目は、この画面でのみ保存された設定より優先する
+    const urlConfig = getUrlConfig()
+    if (Object.keys(urlConfig).length > 0) {
+      log(`configToScreen URL parameters : ${JSON.stringify(hideSecrets(urlConfig, '***'))}`)
+      for (let key in urlConfig) {
+        configBeforeUrlOverride[key] = config[key]
+      }
+      singleConfigToScreen(urlConfig)
+    }
+  }
+
+  /** @type {Object} URLで指定された設定項目の、指定前の値（保存時はURLで指定された値の代わりにこちらを使う） */
+  const configBeforeUrlOverride = {}
+
+  /**
+   * URLのクエリパラメータから設定項目を取り出す。
+   * パラメータ名は設定項目名（またはURL_PARAMETER_ALIASESの別名）とし、値はデフォルト値と同じ型に変換する。
+   * URL_PARAMETER_KEYSにない設定項目は無視する。
+   * @returns {Object} 設定オブジェクト（指定された項目のみ）
+   */
+  function getUrlConfig() {
+    const defaults = makeDefaultConfig()
+    const cfg = {}
+    new URLSearchParams(location.search).forEach((value, name) => {
+      const key = URL_PARAMETER_ALIASES[name] ?? name
+      if (defaults.hasOwnProperty(key) !== true) return
+      if (URL_PARAMETER_KEYS.includes(key) !== true) {
+        log(`URL parameter ${name} is not allowed.`)
+        return
+      }
+      let parsed
+      switch (typeof defaults[key]) {
+        case 'number':
+          parsed = (value.trim().length > 0 && isFinite(Number(value))) ? Number(value) : undefined
+          break
+        case 'boolean':
+          parsed = parseBooleanText(value)
+          break
+        case 'object':
+          try {
+            parsed = JSON.parse(value)
+          } catch(err) {
+            parsed = undefined
+          }
+          break
+        default:
+          parsed = value
+      }
+      if (parsed === undefined) {
+        log(`URL parameter ${name}=${value} is invalid.`)
+        return
+      }
+      cfg[key] = parsed
+    })
+    return validateConfig(cfg).config
+  }
+
+  /**
+   * 画面上の現在の設定をlocalStorageに保存する。
+   */
+  function screenToConfig() {
+    // 文字の大きさやフォントが変わると行の分割も変わるので描画し直す
+    refreshCaption()
+    // ビューアーは配信元の設定を一時的に反映しているだけ、オーバーレイは設定画面を持たないので、保存しない
+    if (IS_VIEWER || IS_OVERLAY) return
+    const newConfig = { ...config, ...configBeforeUrlOverride }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(newConfig))
+    log(`screenToConfig : ${JSON.stringify(hideSecrets(newConfig, '***'))}`)
+    broadcastStyle()
+  }
+
+  /**
+   * 字幕ソース設定文字列をもとに画面表示を制御する。
+   * @param {'auto' | 'mute' | 'input' | 'subtitle' | 'script'} source 字幕ソースの選択を示す文字列
+   * @return {boolean} trueなら画面表示の設定が行われた。
+   */
+  function setSource(source) {
+    if (['auto', 'mute', 'input', 'subtitle', 'script'].includes(source) !== true) return false
+    // 字幕ファイルと台本の操作部は、それぞれの字幕ソースの場合のみ表示する
+    showSubtitleControls(source === 'subtitle')
+    showScriptControls(source === 'script')
+    // 字幕領域全体は visibility で制御（領域そのものは常に存在する前提）
+    // 入力欄コンテナは display で制御（手動入力時は確定済みの字幕の下に入力欄を置く）
+    if (source === 'auto') {
+      captionContainer.style.visibility = 'visible'
+      captionArea.style.display = 'block'
+      captionInputContainer.style.display = 'none'
+      speechRecognizer.setSuspended(false)
+    } else if (source === 'mute') {
+      captionContainer.style.visibility = 'hidden'
+      speechRecognizer.setSuspended(false)
+    } else if (source === 'input') {
+      captionContainer.style.visibility = 'visible'
+      captionArea.style.display = 'block'
+      captionInputContainer.style.display = 'block'
+      // 手動入力中は音声認識の結果が混ざらないよう音声認識を止める
+      speechRecognizer.setSuspended(true)
+    } else {
+      captionContainer.style.visibility = 'visible'
+      captionArea.style.display = 'block'
+      captionInputContainer.style.display = 'none'
+      // 字幕ファイルの再生中と台本の表示中も、音声認識の結果が混ざらないよう音声認識を止める
+      speechRecognizer.setSuspended(true)
+    }
+    return true
+  }
+
+  /**
+   * 字幕位置文字列をもとに全体のレイアウトを設定する。
+   * @param {'bottom' | 'top' | 'left' | 'right'} position 字幕位置を示す文字列
+   * @return {boolean} trueならレイアウト設定が行われた。
+   */
+  function setLayout(position) {
+    if (position === 'bottom') {
+      setLayoutCaptionBottom()
+      return true
+    } else if (position === 'top') {
+      setLayoutCaptionTop()
+      return true
+    } else if (position === 'left') {
+      setLayoutCaptionLeft()
+      return true
+    } else if (position === 'right') {
+      setLayoutCaptionRight()
+      return true
+    }
+    return false
+  }
+
+  /**
+   * 字幕を上に配置する場合のレイアウトを設定する。
+   */
+  function setLayoutCaptionTop() {
+    // 字幕を上に配置
+    captionContainer.style.top = '0'
+    captionContainer.style.bottom = ''
+    captionContainer.style.left = '0'
+    captionContainer.style.right = ''
+    captionContainer.style.width = '100%'
+    captionContainer.style.height = '30%'
+    // カメラは下寄せ
+    cameraContainer.style.flexDirection = 'column'
+    cameraContainer.style.justifyContent = 'flex-end'
+  }
+
+  /**
+   * 字幕を下に配置する場合のレイアウトを設定する。
+   */
+  function setLayoutCaptionBottom() {
+    // 字幕を下に配置
+    captionContainer.style.top = ''
+    captionContainer.style.bottom = '0'
+    captionContainer.style.left = '0'
+    captionContainer.style.right = ''
+    captionContainer.style.width = '100%'
+    captionContainer.style.height = '30%'
+    // カメラは上寄せ
+    cameraContainer.style.flexDirection = 'column'
+    cameraContainer.style.justifyContent = 'flex-start'
+  }
+
+  /**
+   * 字幕を左に配置する場合のレイアウトを設定する。
+   */
+   function setLayoutCaptionLeft() {
+    // 字幕を左に配置
+    captionContainer.style.top = '0'
+    captionContainer.style.bottom = ''
+    captionContainer.style.left = '0'
+    captionContainer.style.right = ''
+    captionContainer.style.width = '50%'
+    captionContainer.style.height = '100%'
+    // カメラは右寄せ
+    cameraContainer.style.flexDirection = 'row'
+    cameraContainer.style.justifyContent = 'flex-end'
+  }
+
+  /**
+   * 字幕を右に配置する場合のレイアウトを設定する。
+   */
+   function setLayoutCaptionRight() {
+    // 字幕を左に配置
+    captionContainer.style.top = '0'
+    captionContainer.style.bottom = ''
+    captionContainer.style.left = ''
+    captionContainer.style.right = '0'
+    captionContainer.style.width = '50%'
+    captionContainer.style.height = '100%'
+    // カメラは右寄せ
+    cameraContainer.style.flexDirection = 'row'
+    cameraContainer.style.justifyContent = 'flex-start'
+  }
+
+  // ========== ========== HTML要素 ========== ==========
+
+  window.addEventListener('resize', ev => {
+    stretchCameraArea()
+    refreshCaption()
+  })
+
+  /** @type {HTMLDivElement} body内全域を占めるdiv要素 */
+  const wholeArea = document.getElementById('content')
+
+  wholeArea.addEventListener('click', ev => {
+    // 設定領域以外をクリックした場合、設定領域の表示／非表示を切り替える（ビューアーとオーバーレイは設定なし）。
+    if (IS_VIEWER || IS_OVERLAY || IS_LOCKED) return
+    if (configArea.contains(ev.target) !== true && transcriptPanel.contains(ev.target) !== true
+    && speakerBar.contains(ev.target) !== true && scriptControl.contains(ev.target) !== true) {
+      toggleConfig()
+    }
+  })
+
+  /** @type {HTMLDivElement} 字幕表示領域のコンテナ（Flexboxで字幕の配置を調整する） */
+  const captionContainer = document.getElementById('caption-container')
+
+  /** @type {HTMLDivElement} 字幕表示要素 */
+  const captionArea = document.getElementById('caption')
+
+  /** @type {HTMLDivElement} 字幕入力部のコンテナ */
+  const captionInputContainer = document.getElementById('caption-input')
+
+  /** @type {HTMLTextAreaElement} 字幕入力領域 */
+  const captionInputText = document.getElementById('caption-input-text')
+  captionInputText.addEventListener('click', (ev) => {
+    ev.stopImmediatePropagation()
+    ev.stopPropagation()
+  })
+  captionInputText.addEventListener('input', (ev) => {
+    // 入力し始めた時刻を字幕の開始時刻とする
+    if (captionInputText.value.length > 0) {
+      speechLog.markSpeechStart()
+    }
+  })
+  captionInputText.addEventListener('keydown', (ev) => {
+    // Enterで１行確定（日本語入力の変換確定のEnterと、改行用のShift+Enterは除く）
+    if (ev.key !== 'Enter' || ev.shiftKey || ev.isComposing || ev.keyCode === 229) return
+    ev.preventDefault()
+    commitManualInput()
+  })
+
+  /**
+   * 手動入力欄の内容を字幕として確定する。
+   */
+  function commitManualInput() {
+    const text = captionInputText.value
+    captionInputText.value = ''
+    if (speechLog.addManualEntry(text)) {
+      log(`manual input : ${text}`)
+      updateCaptionSegments(speechLog.getCurrentSegments())
+      setClearCaptionTimer()
+    }
+  }
+
+  /**
+   * 字幕のフォントファミリを設定する。
+   * @param {string} font 
+   * @return {boolean} trueなら設定は有効
+   */
+  function setFontFamily(font) {
+    if (typeof font !== 'string') return false
+    const fontFamilies = enumerateFontFamilyOptions()
+    if (fontFamilies.includes(font) !== true) {
+      log(`setFontFamily : parameter(${font}) is not in options.`)
+      return false
+    }
+    const fontConfig = font.endsWith('sans-serif') ? font : font + ",sans-serif"
+    config.fontFamily = font
+    captionContainer.style.fontFamily = fontConfig
+    captionInputText.style.fontFamily = fontConfig
+    if (fontFamilySelector.value !== font) {
+      fontFamilySelector.value = font
+    }
+    return true
+  }
+
+  /**
+   * 字幕のフォントウエイトを設定する（normalかboldのみ）。
+   * @param {boolean} isBold 太字ならtrue
+   * @returns {boolean} trueなら設定は有効
+   */
+  function setFontWeight(isBold) {
+    if (isBold !== true && isBold !== false) return false
+    config.isBold = isBold
+    const weight = isBold ? 'bold' : 'normal'
+    captionContainer.style.fontWeight = weight
+    captionInputText.style.fontWeight = weight
+    if (fontWeightInput.checked != isBold) {
+      fontWeightInput.checked = isBold
+    }
+    return true
+  }
+
+  /**
+   * 字幕のフォントサイズを設定する。
+   * @param {number} size フォントサイズ（viewport高さに対するパーセント値）
+   * @return {boolean} trueなら設定は有効
+   */
+   function setCaptionFontSize(size) {
+    if (isNumber(size) !== true || size < FONT_SIZE_MIN || size > FONT_SIZE_MAX) return false
+    config.fontSize = size
+    const fontSize = `${size}vh`
+    captionArea.style.fontSize = fontSize
+    captionInputText.style.fontSize = fontSize 
+    if (fontSizeInput.value !== size.toString()) {
+      fontSizeInput.value = size.toString()
+    }
+    return true
+  }
+
+  /**
+   * 字幕の行高さを設定する。
+   * @param {number} height 行高さ（文字の高さに対するパーセント値）
+   * @return {boolean} trueなら設定は有効
+   */
+   function setCaptionLineHeight(height) {
+    if (isNumber(height) !== true || height < LINE_HEIGHT_MIN || height > LINE_HEIGHT_MAX) return false
+    config.lineHeight = height
+    const lineHeight = `${height}%`
+    captionArea.style.lineHeight = lineHeight
+    captionInputText.style.lineHeight = lineHeight
+    if (lineHeightInput.value !== height.toString()) {
+      lineHeightInput.value = height.toString()
+    }
+    return true
+  }
+
+  /**
+   * 字幕の文字の縁取りと影を設定する（text-shadowを重ねて縁取りを表現する）。
+   * @param {number} width 縁取りの太さ（px。0なら縁取りなし）
+   * @param {string} color 縁取りの色（#rrggbb形式）
+   * @param {boolean} hasShadow 影をつける場合はtrue
+   * @return {boolean} trueなら設定は有効
+   */
+  function setTextEffect(width, color, hasShadow) {
+    if (isNumber(width) !== true || width < 0 || width > OUTLINE_WIDTH_MAX) return false
+    if (typeof color !== 'string' || /^#[0-9a-fA-F]{6}$/.test(color) !== true) return false
+    if (hasShadow !== true && hasShadow !== false) return false
+    config.outlineWidth = width
+    config.outlineColor = color
+    config.textShadow = hasShadow
+    const shadows = []
+    if (width > 0) {
+      // 16方向にずらした影を重ねて縁取りにする
+      for (let ix=0 ; ix<16 ; ix++) {
+        const angle = Math.PI * 2 * ix / 16
+        const dx = Math.round(Math.cos(angle) * width * 100) / 100
+        const dy = Math.round(Math.sin(angle) * width * 100) / 100
+        shadows.push(`${dx}px ${dy}px 0 ${color}`)
+      }
+    }
+    if (hasShadow) {
+      shadows.push('0.06em 0.06em 0.12em rgba(0, 0, 0, 0.8)')
+    }
+    captionContainer.style.textShadow = (shadows.length > 0) ? shadows.join(',') : ''
+    ensureNumberOption(outlineWidthSelector, width)
+    outlineWidthSelector.value = width.toString()
+    outlineColorInput.value = color
+    textShadowInput.checked = hasShadow
+    return true
+  }
+
+  /**
+   * 文字の色を設定する。
+   * @param {string} color 色（#rrggbb形式）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setTextColor(color) {
+    if (typeof color !== 'string' || /^#[0-9a-fA-F]{6}$/.test(color) !== true) return false
+    config.textColor = color
+    captionContainer.style.color = color
+    textColorInput.value = color
+    return true
+  }
+
+  /**
+   * 字幕の背景を設定する。
+   * 行ごとの背景の場合は字幕領域全体の背景をなくし、文字のある部分にだけ背景をつける。
+   * オーバーレイでは字幕領域全体の背景は常に透明とする。
+   * @param {string} color 背景色（#rrggbb形式）
+   * @param {number} opacity 不透明度（%）
+   * @param {boolean} isLineBackground 行ごとの背景ならtrue
+   * @return {boolean} trueなら設定は有効
+   */
+  function setCaptionBackground(color, opacity, isLineBackground) {
+    if (typeof color !== 'string' || /^#[0-9a-fA-F]{6}$/.test(color) !== true) return false
+    if (isNumber(opacity) !== true || opacity < 0 || opacity > 100) return false
+    if (isLineBackground !== true && isLineBackground !== false) return false
+    config.backgroundColor = color
+    config.backgroundOpacity = opacity
+    config.lineBackground = isLineBackground
+    const r = parseInt(color.substring(1, 3), 16)
+    const g = parseInt(color.substring(3, 5), 16)
+    const b = parseInt(color.substring(5, 7), 16)
+    const rgba = `rgba(${r}, ${g}, ${b}, ${opacity / 100})`
+    captionContainer.style.backgroundColor = (isLineBackground || IS_OVERLAY) ? 'transparent' : rgba
+    captionContainer.style.setProperty('--caption-line-background', rgba)
+    captionContainer.classList.toggle('line-background', isLineBackground)
+    backgroundColorInput.value = color
+    ensureNumberOption(backgroundOpacitySelector, opacity)
+    backgroundOpacitySelector.value = opacity.toString()
+    lineBackgroundInput.checked = isLineBackground
+    return true
+  }
+
+  /**
+   * 行ごとの背景の色を取得する（録画時の描画用）。
+   * @returns {string | null} 背景色（行ごとの背景でなければnull）
+   */
+  function getLineBackgroundColor() {
+    if (config.lineBackground !== true) return null
+    return captionContainer.style.getPropertyValue('--caption-line-background') || null
+  }
+
+  /**
+   * 文字の間隔を設定する。
+   * @param {number} spacing 文字の間隔（em）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setLetterSpacing(spacing) {
+    if (isNumber(spacing) !== true || spacing < 0 || spacing > LETTER_SPACING_MAX) return false
+    config.letterSpacing = spacing
+    captionContainer.style.letterSpacing = (spacing > 0) ? `${spacing}em` : ''
+    ensureNumberOption(letterSpacingSelector, spacing)
+    letterSpacingSelector.value = spacing.toString()
+    return true
+  }
+
+  /**
+   * 数値の選択肢のセレクタに指定の値が無ければ選択肢を追加する（保存された設定やプリセットの値を表示するため）。
+   * @param {HTMLSelectElement} selector セレクタ
+   * @param {number} value 値
+   */
+  function ensureNumberOption(selector, value) {
+    const text = value.toString()
+    for (let opt of selector.options) {
+      if (opt.value === text) return
+    }
+    const option = document.createElement('option')
+    option.value = text
+    option.text = text
+    selector.appendChild(option)
+  }
+
+  /**
+   * 字幕の見た目のプリセットを適用して保存する。
+   * @param {string} name プリセットの名前（CAPTION_STYLE_PRESETSのキー）
+   * @return {boolean} trueなら適用された
+   */
+  function applyCaptionStylePreset(name) {
+    const preset = CAPTION_STYLE_PRESETS[name]
+    if (preset == null) return false
+    log(`applyCaptionStylePreset : ${name}`)
+    singleConfigToScreen({ ...preset.style })
+    screenToConfig()
+    return true
+  }
+
+  /**
+   * 字幕を自動で消去するまでの秒数を設定する。
+   * @param {string} time 秒数
+   * @return {boolean} trueなら設定は有効
+   */
+  function setCaptionAutoClearTime(time) {
+    if (typeof time !== 'string') return false
+    const timeInt = parseInt(time)
+    const clearTimes = enumerateClearTimeOptions()
+    if (clearTimes.includes(time) !== true) {
+      log(`setCaptionAutoClearTime : parameter(${time}) is not in options.`)
+      return false
+    }
+    log(`setCaptionAutoClearTime : ${time}[sec]`)
+    config.clearTime = timeInt
+    setClearCaptionTimer()
+    if (clearTimeSelector.value !== time) {
+      clearTimeSelector.value = time
+    }
+    return true
+  }
+
+  /** @type {HTMLDivElement} カメラ表示領域のコンテナ（Flexboxでカメラの配置を調整する） */
+  const cameraContainer = document.getElementById('camera-container')
+
+  /** @type {HTMLVideoElement} カメラ表示領域（画面共有と動画ファイルもここに表示する） */
+  const cameraArea = document.getElementById('camera')
+
+  cameraArea.addEventListener('play', ev => {
+    stretchCameraArea()
+    doPostCameraSetup()
+  })
+
+  cameraArea.addEventListener('error', ev => {
+    if (activeVideoSource === 'file') {
+      log(`error in video file. info=${cameraArea.error?.message}`)
+      alert('動画ファイルを再生できませんでした。')
+    }
+  })
+
+  /** @type {HTMLImageElement} 静止画の表示領域 */
+  const backgroundImage = document.getElementById('background-image')
+
+  backgroundImage.addEventListener('load', ev => {
+    stretchCameraArea()
+  })
+
+  backgroundImage.addEventListener('error', ev => {
+    if (activeVideoSource === 'image' && backgroundImage.hasAttribute('src')) {
+      log('error in image file.')
+      alert('静止画を表示できませんでした。')
+    }
+  })
+
+  /**
+   * カメラ表示領域（静止画の場合は静止画の表示領域）のサイズを次の条件を満たす形で設定する。
+   * (1) カメラ映像のアスペクト比を維持する。
+   * (2) コンテナからはみ出さない。
+   * (3) 少なくとも縦辺または横辺のいずれかはコンテナに接する。
+   */
+  function stretchCameraArea() {
+    const isImage = (activeVideoSource === 'image')
+    const element = isImage ? backgroundImage : cameraArea
+    const videoWidth = isImage ? backgroundImage.naturalWidth : cameraArea.videoWidth
+    const videoHeight = isImage ? backgroundImage.naturalHeight : cameraArea.videoHeight
+    log(`stretchCameraArea ${isImage ? 'image' : 'video'}:(${videoWidth},${videoHeight})`)
+    // カメラが利用できない場合は何もしない。
+    if (videoWidth < 1 || videoHeight < 1) return
+    const cameraAspectRatio = videoWidth / videoHeight
+
+    const containerRect = cameraContainer.getBoundingClientRect()
+    if (containerRect.height < 1) return
+    const containerAspectRatio = containerRect.width / containerRect.height
+
+    if (containerAspectRatio > cameraAspectRatio) {
+      // カメラ映像がコンテナよりも縦長な場合：カメラ映像の高さをコンテナの高さにあわせる
+      element.style.width = ''
+      element.style.height = '100%'
+    } else {
+      // カメラ映像がコンテナよりも横長な場合：カメラ映像の幅をコンテナの幅にあわせる
+      element.style.width = '100%'
+      element.style.height = ''
+    }
+  }
+
+  /** @type {HTMLDivElement} 設定領域 */
+  const configArea = document.getElementById('config')
+
+  /** 設定領域を表示する（ロック中は表示しない） */
+  function showConfig() {
+    if (IS_LOCKED) return
+    configArea.style.display = 'flex'
+    updateMicMonitor()
+  }
+
+  /** 設定領域を隠す */
+  function hideConfig() {
+    configArea.style.display = 'none'
+    updateMicMonitor()
+  }
+
+  /** 設定領域の表示／非表示を切り替える */
+  function toggleConfig() {
+    // 起動直後はstyle.displayが空（CSSで非表示）なので、表示中かどうかは'flex'で判定する
+    if (configArea.style.display === 'flex') {
+      hideConfig()
+    } else {
+      showConfig()
+    }
+  }
+
+  // 字幕ソース選択ラジオボタンへのイベント設定
+  document.getElementsByName('source').forEach(el => {
+    el.addEventListener('change', ev => {
+      if (ev.target.value !== config.source) {
+        setSource(ev.target.value)
+        config.source = ev.target.value
+        screenToConfig()
+      }
+    })
+  })
+
+  /**
+   * 字幕ソース選択ラジオボタンの値の選択
+   * @param {'auto' | 'mute' | 'input' | 'subtitle' | 'script'} source 字幕ソース文字列 
+   */
+  function setSourceRadioButton(source) {
+    document.getElementsByName('source').forEach(el => {
+      if (el.value === source) {
+        el.checked = true
+      }
+    })
+  }
+
+  /** @type {HTMLSelectElement} 設定のカメラ一覧 */
+  const cameraList = document.getElementById('config-camera-list')
+
+  cameraList.addEventListener('change', ev => {
+    config.cameraId = cameraList.value
+    screenToConfig()
+    setupCamera()
+  })
+
+  /**
+   * 使用するカメラを設定する（カメラの準備後であれば切り替える）。
+   * @param {string} deviceId カメラのdeviceId（空文字列なら指定なし）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setCameraId(deviceId) {
+    if (typeof deviceId !== 'string') return false
+    config.cameraId = deviceId
+    if (activeVideoSource === 'camera' && deviceId.length > 0 && cameraList.childElementCount > 0 && cameraList.value !== deviceId) {
+      if (selectCameraIfExists(deviceId)) {
+        setupCamera()
+      }
+    }
+    return true
+  }
+
+  /** @type {Object} カメラごとの設定のデフォルト値（zoomは倍率、frameRateは0なら指定なし） */
+  const DEFAULT_CAMERA_SETTINGS = { mirror: false, zoom: 1, torch: false, resolution: 'auto', frameRate: 0 }
+
+  /** @type {number} カメラがズームを扱えない場合に、表示の拡大で代用するときの最大倍率 */
+  const DISPLAY_ZOOM_MAX = 4
+
+  /** @type {{min:number, max:number, step:number} | null} 使用中のカメラが扱えるズームの範囲（扱えなければnull） */
+  let cameraZoomCapability = null
+
+  /** @type {boolean} 使用中のカメラがライトを扱えればtrue */
+  let cameraTorchCapability = false
+
+  /** @type {HTMLButtonElement} 前面／背面カメラの切替ボタン */
+  const cameraFacingButton = document.getElementById('config-camera-facing')
+  cameraFacingButton.addEventListener('click', ev => {
+    setFacingMode((config.facingMode === 'user') ? 'environment' : 'user')
+    // 向きでカメラを選び直すため、特定のカメラの指定を解除する（実際に使われたカメラは取得後に一覧で選ばれる）
+    cameraList.selectedIndex = -1
+    config.cameraId = ''
+    screenToConfig()
+    setupCamera()
+  })
+
+  /** @type {HTMLInputElement} 左右反転のチェックボックス */
+  const cameraMirrorCheckbox = document.getElementById('config-camera-mirror')
+  cameraMirrorCheckbox.addEventListener('change', ev => {
+    updateCameraSettings({ mirror: cameraMirrorCheckbox.checked })
+  })
+
+  /** @type {HTMLSelectElement} 解像度の選択肢 */
+  const cameraResolutionSelector = document.getElementById('config-camera-resolution')
+  cameraResolutionSelector.addEventListener('change', ev => {
+    updateCameraSettings({ resolution: cameraResolutionSelector.value })
+    setupCamera()
+  })
+
+  /** @type {HTMLSelectElement} フレームレートの選択肢 */
+  const cameraFrameRateSelector = document.getElementById('config-camera-frame-rate')
+  cameraFrameRateSelector.addEventListener('change', ev => {
+    updateCameraSettings({ frameRate: Number(cameraFrameRateSelector.value) })
+    setupCamera()
+  })
+
+  /** @type {HTMLInputElement} ズームのスライダー */
+  const cameraZoomInput = document.getElementById('config-camera-zoom')
+  // 操作中は映像にだけ反映し、操作を終えたら保存する
+  cameraZoomInput.addEventListener('input', ev => {
+    applyCameraZoom(Number(cameraZoomInput.value))
+  })
+  cameraZoomInput.addEventListener('change', ev => {
+    updateCameraSettings({ zoom: Number(cameraZoomInput.value) })
+  })
+
+  /** @type {HTMLSpanElement} ズームの倍率の表示 */
+  const cameraZoomValue = document.getElementById('config-camera-zoom-value')
+
+  /** @type {HTMLSpanElement} ライトの設定のコンテナ（ライトを扱えるカメラでのみ表示する） */
+  const cameraTorchContainer = document.getElementById('config-camera-torch-container')
+
+  /** @type {HTMLInputElement} ライトのチェックボックス */
+  const cameraTorchCheckbox = document.getElementById('config-camera-torch')
+  cameraTorchCheckbox.addEventListener('change', ev => {
+    updateCameraSettings({ torch: cameraTorchCheckbox.checked })
+  })
+
+  /**
+   * カメラの向き（前面、背面）を設定する。特定のカメラを指定していない場合に使う。
+   * @param {'user'|'environment'} mode カメラの向き
+   * @return {boolean} trueなら設定は有効
+   */
+  function setFacingMode(mode) {
+    if (mode !== 'user' && mode !== 'environment') return false
+    config.facingMode = mode
+    cameraFacingButton.textContent = (mode === 'user') ? '背面カメラへ' : '前面カメラへ'
+    return true
+  }
+
+  /**
+   * カメラごとの設定の保存先となるキー（使用中または指定されたカメラのdeviceId）を返す。
+   * @returns {string} カメラのdeviceId（指定なしなら空文字列）
+   */
+  function getCameraKey() {
+    return cameraList.value || config.cameraId
+  }
+
+  /**
+   * カメラの設定を取得する（保存されていない項目はデフォルト値で補う）。
+   * @param {string} key カメラのdeviceId（省略時は使用中のカメラ）
+   * @returns {{mirror:boolean, zoom:number, torch:boolean, resolution:string, frameRate:number}} カメラの設定
+   */
+  function getCameraSettings(key = getCameraKey()) {
+    const saved = config.cameraSettings[key]
+    return { ...DEFAULT_CAMERA_SETTINGS, ...((saved != null && typeof saved === 'object') ? saved : {}) }
+  }
+
+  /**
+   * 使用中のカメラの設定の一部を変更して保存し、映像に反映する。
+   * @param {Object} values 変更する設定項目
+   */
+  function updateCameraSettings(values) {
+    const key = getCameraKey()
+    const settings = { ...config.cameraSettings }
+    settings[key] = { ...getCameraSettings(key), ...values }
+    if (setCameraSettings(settings)) {
+      screenToConfig()
+    }
+  }
+
+  /**
+   * カメラごとの設定をまとめて設定し、使用中のカメラに反映する。
+   * @param {Object<string,Object>} settings カメラごとの設定（キーはカメラのdeviceId）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setCameraSettings(settings) {
+    if (settings == null || typeof settings !== 'object' || Array.isArray(settings)) return false
+    config.cameraSettings = settings
+    applyCameraSettings()
+    return true
+  }
+
+  /**
+   * 使用中のカメラの映像トラックを返す。
+   * @returns {MediaStreamTrack | null} 映像トラック（カメラを使っていなければnull）
+   */
+  function getCameraTrack() {
+    const stream = cameraArea.srcObject
+    if (stream == null || typeof stream.getVideoTracks !== 'function') return null
+    return stream.getVideoTracks()[0] ?? null
+  }
+
+  /**
+   * 使用中のカメラがズームとライトを扱えるかを調べ、設定画面に反映する。
+   */
+  function updateCameraCapabilities() {
+    const track = getCameraTrack()
+    const capabilities = (track != null && typeof track.getCapabilities === 'function') ? track.getCapabilities() : {}
+    log(`camera capabilities : ${JSON.stringify(capabilities)}`)
+    const zoom = capabilities.zoom
+    cameraZoomCapability = (zoom != null && zoom.max > zoom.min) ? zoom : null
+    // ライトはブラウザによって true または [false, true] の形で示される
+    const torch = capabilities.torch
+    cameraTorchCapability = (torch === true) || (Array.isArray(torch) && torch.includes(true))
+    const range = cameraZoomCapability ?? { min: 1, max: DISPLAY_ZOOM_MAX, step: 0.1 }
+    cameraZoomInput.min = range.min
+    cameraZoomInput.max = range.max
+    cameraZoomInput.step = range.step || 0.1
+    cameraTorchContainer.style.display = cameraTorchCapability ? '' : 'none'
+  }
+
+  /**
+   * 使用中のカメラの設定（左右反転、ズーム、ライト）を映像と設定画面に反映する。
+   * 解像度とフレームレートはカメラの取得時（setupCamera）に反映する。
+   */
+  function applyCameraSettings() {
+    const settings = getCameraSettings()
+    cameraMirrorCheckbox.checked = settings.mirror
+    cameraResolutionSelector.value = settings.resolution
+    cameraFrameRateSelector.value = String(settings.frameRate)
+    cameraTorchCheckbox.checked = settings.torch
+    applyCameraZoom(settings.zoom)
+    const track = getCameraTrack()
+    if (cameraTorchCapability && track != null) {
+      track.applyConstraints({ advanced: [{ torch: settings.torch }] }).catch(err => {
+        log(`camera torch error : ${err}`)
+      })
+    }
+  }
+
+  /**
+   * 映像を拡大する。カメラがズームを扱えればカメラ側で（光学ズームまたはカメラのデジタルズーム）、
+   * 扱えなければ表示を拡大して代用する（録画も画面の見た目どおりになる）。
+   * @param {number} zoom 倍率
+   */
+  function applyCameraZoom(zoom) {
+    if (isNumber(zoom) !== true) zoom = 1
+    const track = getCameraTrack()
+    let displayZoom = 1
+    if (cameraZoomCapability != null && track != null) {
+      const value = Math.min(Math.max(zoom, cameraZoomCapability.min), cameraZoomCapability.max)
+      track.applyConstraints({ advanced: [{ zoom: value }] }).catch(err => {
+        log(`camera zoom error : ${err}`)
+      })
+      cameraZoomInput.value = value
+    } else {
+      displayZoom = Math.min(Math.max(zoom, 1), DISPLAY_ZOOM_MAX)
+      cameraZoomInput.value = displayZoom
+    }
+    cameraZoomValue.textContent = `×${Number(cameraZoomInput.value).toFixed(1)}`
+    const transforms = []
+    if (getCameraSettings().mirror) transforms.push('scaleX(-1)')
+    if (displayZoom !== 1) transforms.push(`scale(${displayZoom})`)
+    // 画面共有や動画ファイルは反転も拡大もしない
+    cameraArea.style.transform = (activeVideoSource === 'camera') ? transforms.join(' ') : ''
+  }
+
+  /** @type {HTMLSelectElement} フォント名一覧 */
+  const fontFamilySelector = document.getElementById('config-font-family-list')
+  fontFamilySelector.addEventListener('change', ev => {
+    onFontFamilySelectionChanged()
+  })
+
+  /**
+   * フォントファミリの選択肢のvalueを列挙する。
+   * @return {Array<string>} フォントファミリ選択肢のvalueの配列
+   */
+  function enumerateFontFamilyOptions() {
+    /** @type {Array<string>} */
+    let res = []
+    for (let opt of fontFamilySelector.options) {
+      res.push(opt.value)
+    }
+    return res
+  }
+
+  function onFontFamilySelectionChanged() {
+    if (setFontFamily(fontFamilySelector.value)) {
+      screenToConfig()
+    }
+  }
+
+  /** @type {HTMLInputElement} 設定の太字設定 */
+  const fontWeightInput = document.getElementById('config-font-bold')
+  fontWeightInput.addEventListener('change', ev => {
+    onFontWeightInputChanged()
+  })
+
+  function onFontWeightInputChanged() {
+    if (setFontWeight(fontWeightInput.checked)) {
+      screenToConfig()
+    }
+  }
+
+  /** @type {HTMLInputElement} 設定のフォントサイズ設定欄 */
+  const fontSizeInput = document.getElementById('config-font-size')
+
+  fontSizeInput.addEventListener('change', ev => {
+    onFontSizeInputChanged()
+  })
+
+  function onFontSizeInputChanged() {
+    if (setCaptionFontSize(Number(fontSizeInput.value))) {
+      screenToConfig()
+    }
+  }
+
+  /** @type {HTMLButtonElement} 設定のフォントサイズ縮小ボタン */
+  const fontSizeDecrement = document.getElementById('config-font-size-decrement')
+
+  fontSizeDecrement.addEventListener('click', ev => {
+    const fontSize = Number(fontSizeInput.value)
+    const newSize = Math.max(Math.round((fontSize-0.1)*10)/10 , FONT_SIZE_MIN)
+    if (fontSize !== newSize) {
+      fontSizeInput.value = newSize.toString()
+      onFontSizeInputChanged()
+    }
+  })
+
+  /** @type {HTMLButtonElement} 設定のフォントサイズ拡大ボタン */
+  const fontSizeIncrement = document.getElementById('config-font-size-increment')
+
+  fontSizeIncrement.addEventListener('click', ev => {
+    const fontSize = Number(fontSizeInput.value)
+    const newSize = Math.min(Math.round((fontSize+0.1)*10)/10 , FONT_SIZE_MAX)
+    if (fontSize !== newSize) {
+      fontSizeInput.value = newSize.toString()
+      onFontSizeInputChanged()
+    }
+  })
+
+  /** @type {HTMLInputElement} 設定の行高さ設定欄 */
+  const lineHeightInput = document.getElementById('config-line-height')
+
+  lineHeightInput.addEventListener('change', ev => {
+    onLineHeightInputChanged()
+  })
+
+  function onLineHeightInputChanged() {
+    if (setCaptionLineHeight(Number(lineHeightInput.value))) {
+      screenToConfig()
+    }
+  }
+
+  /** @type {HTMLButtonElement} 設定の行高さ縮小ボタン */
+  const lineHeightDecrement = document.getElementById('config-line-height-decrement')
+
+  lineHeightDecrement.addEventListener('click', ev => {
+    const lineHeight = Number(lineHeightInput.value)
+    const newHeight = Math.max(Math.ceil(lineHeight/5)*5-5 , LINE_HEIGHT_MIN)
+    if (lineHeight !== newHeight) {
+      lineHeightInput.value = newHeight.toString()
+      onLineHeightInputChanged()
+    }
+  })
+
+  /** @type {HTMLButtonElement} 設定の行高さ拡大ボタン */
+  const lineHeightIncrement = document.getElementById('config-line-height-increment')
+
+  lineHeightIncrement.addEventListener('click', ev => {
+    const lineHeight = Number(lineHeightInput.value)
+    const newHeight = Math.min(Math.floor(lineHeight/5)*5+5 , LINE_HEIGHT_MAX)
+    if (lineHeight !== newHeight) {
+      lineHeightInput.value = newHeight.toString()
+      onLineHeightInputChanged()
+    }
+  })
+
+  /** @type {HTMLSelectElement} 字幕の見た目のプリセットのセレクタ */
+  const stylePresetSelector = document.getElementById('config-style-preset')
+  for (let name in CAPTION_STYLE_PRESETS) {
+    const option = document.createElement('option')
+    option.value = name
+    option.text = CAPTION_STYLE_PRESETS[name].label
+    stylePresetSelector.appendChild(option)
+  }
+  stylePresetSelector.addEventListener('change', ev => {
+    applyCaptionStylePreset(stylePresetSelector.value)
+    stylePresetSelector.value = '' // 同じプリセットを再度選べるよう未選択に戻す
+  })
+
+  /** @type {HTMLInputElement} 文字の色 */
+  const textColorInput = document.getElementById('config-text-color')
+  textColorInput.addEventListener('change', ev => {
+    if (setTextColor(textColorInput.value)) {
+      screenToConfig()
+    }
+  })
+
+  /** @type {HTMLInputElement} 背景色 */
+  const backgroundColorInput = document.getElementById('config-background-color')
+  /** @type {HTMLSelectElement} 背景の不透明度 */
+  const backgroundOpacitySelector = document.getElementById('config-background-opacity')
+  /** @type {HTMLInputElement} 行ごとの背景 */
+  const lineBackgroundInput = document.getElementById('config-line-background')
+  const onCaptionBackgroundChanged = (ev) => {
+    if (setCaptionBackground(backgroundColorInput.value, Number(backgroundOpacitySelector.value), lineBackgroundInput.checked)) {
+      screenToConfig()
+    }
+  }
+  backgroundColorInput.addEventListener('change', onCaptionBackgroundChanged)
+  backgroundOpacitySelector.addEventListener('change', onCaptionBackgroundChanged)
+  lineBackgroundInput.addEventListener('change', onCaptionBackgroundChanged)
+
+  /** @type {HTMLSelectElement} 文字の縁取りの太さ */
+  const outlineWidthSelector = document.getElementById('config-outline-width')
+  /** @type {HTMLInputElement} 文字の縁取りの色 */
+  const outlineColorInput = document.getElementById('config-outline-color')
+  /** @type {HTMLInputElement} 文字の影 */
+  const textShadowInput = document.getElementById('config-text-shadow')
+  const onTextEffectChanged = (ev) => {
+    if (setTextEffect(Number(outlineWidthSelector.value), outlineColorInput.value, textShadowInput.checked)) {
+      screenToConfig()
+    }
+  }
+  outlineWidthSelector.addEventListener('change', onTextEffectChanged)
+  outlineColorInput.addEventListener('change', onTextEffectChanged)
+  textShadowInput.addEventListener('change', onTextEffectChanged)
+
+  /** @type {HTMLSelectElement} 文字の間隔 */
+  const letterSpacingSelector = document.getElementById('config-letter-spacing')
+  letterSpacingSelector.addEventListener('change', ev => {
+    if (setLetterSpacing(Number(letterSpacingSelector.value))) {
+      screenToConfig()
+    }
+  })
+
+  // 字幕表示位置選択ラジオボタンへのイベント設定
+  document.getElementsByName('position').forEach(el => {
+    el.addEventListener('change', ev => {
+      if (ev.target.value !== config.position) {
+        setLayout(ev.target.value)
+        config.position = ev.target.value
+        screenToConfig()
+      }
+    })
+  })
+
+  /**
+   * 字幕表示位置選択ラジオボタンの値の選択
+   * @param {'bottom' | 'top' | 'left' | 'right'} position 
+   */
+  function setPositionRadioButton(position) {
+    document.getElementsByName('position').forEach(el => {
+      if (el.value === position) {
+        el.checked = true
+      }
+    })
+  }
+
+  /** @type {HTMLSelectElement} 音声認識エンジンのセレクタ */
+  const engineSelector = document.getElementById('config-engine-list')
+  engineSelector.addEventListener('change', (ev) => {
+    if (setRecognitionEngine(engineSelector.value)) {
+      screenToConfig()
+    }
+  })
+
+  /** @type {HTMLInputElement} ローカルの音声認識サーバーのURL入力欄 */
+  const engineUrlInput = document.getElementById('config-engine-url')
+  engineUrlInput.addEventListener('change', (ev) => {
+    if (setEngineUrl(engineUrlInput.value.trim())) {
+      screenToConfig()
+    } else {
+      engineUrlInput.value = config.engineUrl
+    }
+  })
+
+  /**
+   * 音声認識エンジンを設定する（変更があればエンジンを切り替える）。
+   * @param {'browser' | 'websocket'} engine 音声認識エンジンを示す文字列
+   * @return {boolean} trueなら設定は有効
+   */
+  function setRecognitionEngine(engine) {
+    if (engine !== 'browser' && engine !== 'websocket') return false
+    const isChanged = (engine !== speechRecognizer.backend.name)
+    config.engine = engine
+    if (engineSelector.value !== engine) {
+      engineSelector.value = engine
+    }
+    engineUrlInput.style.display = (engine === 'websocket') ? '' : 'none'
+    if (isChanged) {
+      speechRecognizer.setBackend(createRecognizerBackend(config.engine, config.engineUrl))
+    }
+    updateMicNote()
+    return true
+  }
+
+  /**
+   * ローカルの音声認識サーバーのURLを設定する（使用中であれば接続し直す）。
+   * @param {string} url WebSocketのURL（ws://またはwss://）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setEngineUrl(url) {
+    if (typeof url !== 'string' || /^wss?:\/\/.+/.test(url) !== true) {
+      log(`setEngineUrl : parameter(${url}) is not WebSocket URL.`)
+      return false
+    }
+    const isChanged = (url !== config.engineUrl)
+    config.engineUrl = url
+    if (engineUrlInput.value !== url) {
+      engineUrlInput.value = url
+    }
+    if (isChanged && speechRecognizer.backend.name === 'websocket') {
+      speechRecognizer.setBackend(createRecognizerBackend(config.engine, config.engineUrl))
+    }
+    return true
+  }
+
+  /** @type {HTMLSelectElement} 音声認識の言語のセレクタ */
+  const langSelector = document.getElementById('config-lang-list')
+  langSelector.addEventListener('change', (ev) => {
+    if (setRecognitionLang(langSelector.value)) {
+      screenToConfig()
+    }
+  })
+
+  /** @type {HTMLSelectElement} 切り替え先の言語のセレクタ */
+  const altLangSelector = document.getElementById('config-alt-lang-list')
+  altLangSelector.addEventListener('change', (ev) => {
+    if (setAltLang(altLangSelector.value)) {
+      screenToConfig()
+    }
+  })
+
+  /**
+   * 言語のセレクタに指定の言語が無ければ選択肢を追加する（ブラウザの言語が「ja」のように地域なしの場合など）。
+   * @param {HTMLSelectElement} selector 言語のセレクタ
+   * @param {string} lang 言語（BCP 47形式）
+   */
+  function ensureLangOption(selector, lang) {
+    for (let opt of selector.options) {
+      if (opt.value === lang) return
+    }
+    const option = document.createElement('option')
+    option.value = lang
+    option.text = lang
+    selector.appendChild(option)
+  }
+
+  /**
+   * 音声認識の言語を設定する（音声認識中なら再起動して反映）。
+   * @param {string} lang 言語（BCP 47形式）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setRecognitionLang(lang) {
+    if (typeof lang !== 'string' || lang.length < 1) return false
+    config.lang = lang
+    speechRecognizer.setLang(lang)
+    ensureLangOption(langSelector, lang)
+    if (langSelector.value !== lang) {
+      langSelector.value = lang
+    }
+    return true
+  }
+
+  /**
+   * ホットキーで切り替える先の言語を設定する。
+   * @param {string} lang 言語（BCP 47形式）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setAltLang(lang) {
+    if (typeof lang !== 'string' || lang.length < 1) return false
+    config.altLang = lang
+    ensureLangOption(altLangSelector, lang)
+    if (altLangSelector.value !== lang) {
+      altLangSelector.value = lang
+    }
+    return true
+  }
+
+  /**
+   * 音声認識の言語と切り替え先の言語を入れ替える。
+   */
+  function swapRecognitionLang() {
+    const current = config.lang
+    if (setRecognitionLang(config.altLang)) {
+      setAltLang(current)
+      log(`swapRecognitionLang : ${current} -> ${config.lang}`)
+      screenToConfig()
+    }
+  }
+
+  /**
+   * キー入力の対象が文字入力欄か判定する（文字入力中はホットキーを無効にするため）。
+   * @param {EventTarget} target キーイベントの対象
+   * @returns {boolean} trueなら文字入力欄
+   */
+  function isTextInputTarget(target) {
+    if (target == null || target.tagName == null) return false
+    const tag = target.tagName.toLowerCase()
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable === true
+  }
+
+  // ========== ========== ショートカットキー ========== ==========
+
+  /** @type {HTMLDivElement} ショートカットキーの設定欄 */
+  const shortcutListArea = document.getElementById('config-shortcut-list')
+
+  /** @type {HTMLButtonElement} ショートカットキーを初期値に戻すボタン */
+  const shortcutResetButton = document.getElementById('config-shortcut-reset')
+  shortcutResetButton.addEventListener('click', ev => {
+    if (setKeyBindings(makeDefaultConfig().keyBindings)) {
+      screenToConfig()
+    }
+  })
+
+  /** @type {HTMLDivElement} ショートカットキーの一覧（ヘルプ） */
+  const shortcutHelp = document.getElementById('shortcut-help')
+  shortcutHelp.addEventListener('click', ev => {
+    toggleShortcutHelp()
+  })
+
+  /** @type {HTMLTableSectionElement} ショートカットキーの一覧の表 */
+  const shortcutHelpTable = document.getElementById('shortcut-help-table')
+
+  /**
+   * キーイベントのキーを、ショートカットキーの設定で使う名前にする（１文字のキーは小文字、空白は'Space'）。
+   * @param {string} key KeyboardEvent.keyの値
+   * @returns {string} キーの名前
+   */
+  function normalizeShortcutKey(key) {
+    if (key === ' ') return 'Space'
+    return (key.length === 1) ? key.toLowerCase() : key
+  }
+
+  /**
+   * ショートカットキーの割り当てを設定する（未知の操作は無視し、指定のない操作は初期値とする）。
+   * 特定の字幕ソースでのみ働く操作（台本の操作など）は、他の操作と同じキーを割り当ててもよい。
+   * @param {Object<string, Array<string>>} bindings 操作ごとのキーの名前の配列（キーは SHORTCUT_ACTIONS のキー）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setKeyBindings(bindings) {
+    if (bindings == null || typeof bindings !== 'object' || Array.isArray(bindings)) return false
+    const newBindings = {}
+    /** @type {Set<string>} 割り当て済みのキー（「字幕ソース:キーの名前」。字幕ソースを限らない操作は字幕ソースを空とする） */
+    const usedKeys = new Set()
+    for (let action in SHORTCUT_ACTIONS) {
+      const keys = Array.isArray(bindings[action]) ? bindings[action] : SHORTCUT_ACTIONS[action].keys
+      const source = SHORTCUT_ACTIONS[action].source ?? ''
+      newBindings[action] = keys
+        .filter(key => typeof key === 'string' && key.trim().length > 0)
+        .map(key => normalizeShortcutKey(key.trim()))
+        .filter(key => {
+          // 同じ場面で働く複数の操作に同じキーを割り当てた場合は先の操作を優先する
+          if (usedKeys.has(`${source}:${key}`)) {
+            log(`setKeyBindings : key(${key}) of ${action} is already used.`)
+            return false
+          }
+          usedKeys.add(`${source}:${key}`)
+          return true
+        })
+    }
+    config.keyBindings = newBindings
+    updateShortcutInputs()
+    updateShortcutHelp()
+    return true
+  }
+
+  /**
+   * キーに割り当てられた、現在の字幕ソースで働く操作を探す。
+   * 現在の字幕ソースでのみ働く操作（台本の操作など）を、字幕ソースを限らない操作より優先する
+   * （クリッカーのPageDown、PageUpは、台本の場合は行送り、それ以外では文字の大きさの変更になる）。
+   * @param {string} key キーの名前
+   * @returns {string | null} 操作の名前（割り当てが無ければnull）
+   */
+  function findShortcutAction(key) {
+    let found = null
+    for (let action in config.keyBindings) {
+      if (config.keyBindings[action].includes(key) !== true) continue
+      const source = SHORTCUT_ACTIONS[action].source
+      if (source === config.source) return action
+      if (source == null && found == null) {
+        found = action
+      }
+    }
+    return found
+  }
+
+  /**
+   * 設定欄のショートカットキーの入力欄を作り直す（キーはカンマ区切りで入力する）。
+   */
+  function updateShortcutInputs() {
+    const fragment = document.createDocumentFragment()
+    for (let action in SHORTCUT_ACTIONS) {
+      const div = document.createElement('div')
+      const label = document.createElement('label')
+      label.htmlFor = `config-shortcut-${action}`
+      label.textContent = SHORTCUT_ACTIONS[action].label
+      const input = document.createElement('input')
+      input.type = 'text'
+      input.id = `config-shortcut-${action}`
+      input.value = config.keyBindings[action].join(', ')
+      input.addEventListener('change', ev => {
+        const keys = input.value.split(',').map(key => key.trim()).filter(key => key.length > 0)
+        if (setKeyBindings({ ...config.keyBindings, [action]: keys })) {
+          screenToConfig()
+        }
+      })
+      div.appendChild(label)
+      div.appendChild(input)
+      fragment.appendChild(div)
+    }
+    shortcutListArea.replaceChildren(fragment)
+  }
+
+  /**
+   * ショートカットキーの一覧（ヘルプ）の表を作り直す。
+   */
+  function updateShortcutHelp() {
+    const fragment = document.createDocumentFragment()
+    for (let action in SHORTCUT_ACTIONS) {
+      const keys = config.keyBindings[action]
+      if (keys.length < 1) continue
+      const row = document.createElement('tr')
+      const keyCell = document.createElement('td')
+      keys.forEach(key => {
+        const kbd = document.createElement('kbd')
+        kbd.textContent = key
+        keyCell.appendChild(kbd)
+      })
+      const labelCell = document.createElement('td')
+      labelCell.textContent = SHORTCUT_ACTIONS[action].label
+      row.appendChild(keyCell)
+      row.appendChild(labelCell)
+      fragment.appendChild(row)
+    }
+    shortcutHelpTable.replaceChildren(fragment)
+  }
+
+  /** ショートカットキーの一覧（ヘルプ）の表示／非表示を切り替える */
+  function toggleShortcutHelp() {
+    shortcutHelp.style.display = (shortcutHelp.style.display !== 'block') ? 'block' : 'none'
+  }
+
+  /**
+   * 字幕ソースを設定して保存する。
+   * @param {'auto' | 'mute' | 'input' | 'subtitle' | 'script'} source 字幕ソースの選択を示す文字列
+   */
+  function changeSource(source) {
+    if (source === config.source || setSource(source) !== true) return
+    config.source = source
+    setSourceRadioButton(source)
+    log(`changeSource : ${source}`)
+    screenToConfig()
+  }
+
+  /**
+   * 字幕位置を設定して保存する。
+   * @param {'bottom' | 'top' | 'left' | 'right'} position 字幕位置を示す文字列
+   */
+  function changePosition(position) {
+    if (position === config.position || setLayout(position) !== true) return
+    config.position = position
+    setPositionRadioButton(position)
+    log(`changePosition : ${position}`)
+    screenToConfig()
+  }
+
+  /**
+   * 配列の中で、指定の値の次の値を返す（末尾の次は先頭）。
+   * @param {Array<string>} values 値の配列
+   * @param {string} current 現在の値
+   * @returns {string} 次の値
+   */
+  function nextValueOf(values, current) {
+    return values[(values.indexOf(current) + 1) % values.length]
+  }
+
+  /**
+   * 字幕のフォントサイズを0.1刻みで変えて保存する。
+   * @param {number} delta 変化量（正なら拡大、負なら縮小）
+   */
+  function stepCaptionFontSize(delta) {
+    const newSize = Math.min(Math.max(Math.round((config.fontSize + delta) * 10) / 10, FONT_SIZE_MIN), FONT_SIZE_MAX)
+    if (newSize !== config.fontSize && setCaptionFontSize(newSize)) {
+      screenToConfig()
+    }
+  }
+
+  /**
+   * 表示中の字幕をすぐに消去する（自動消去と同じ処理）。
+   */
+  function clearCaptionNow() {
+    if (clearCaptionTimerId >= 0) {
+      clearTimeout(clearCaptionTimerId)
+      clearCaptionTimerId = -1
+    }
+    updateCaption('')
+    speechLog.reset()
+  }
+
+  /**
+   * ショートカットキーの操作を実行する。
+   * @param {string} action 操作の名前（SHORTCUT_ACTIONSのキー）
+   * @param {string} key 押されたキーの名前（話者の選択で何番目のキーかを調べるのに使う）
+   */
+  function runShortcutAction(action, key) {
+    log(`shortcut : ${action}`)
+    if (action === 'toggleConfig') {
+      toggleConfig()
+    } else if (action === 'cycleSource') {
+      changeSource(nextValueOf(['auto', 'mute', 'input', 'subtitle', 'script'], config.source))
+    } else if (action === 'toggleMute') {
+      changeSource((config.source === 'mute') ? 'auto' : 'mute')
+    } else if (action === 'fontSizeUp') {
+      stepCaptionFontSize(0.1)
+    } else if (action === 'fontSizeDown') {
+      stepCaptionFontSize(-0.1)
+    } else if (action === 'cyclePosition') {
+      changePosition(nextValueOf(['bottom', 'top', 'left', 'right'], config.position))
+    } else if (action === 'clearCaption') {
+      clearCaptionNow()
+    } else if (action === 'toggleRecording') {
+      toggleRecording()
+    } else if (action === 'swapLang') {
+      swapRecognitionLang()
+    } else if (action === 'nextSpeaker') {
+      switchToNextSpeaker()
+    } else if (action === 'selectSpeaker') {
+      const index = config.keyBindings.selectSpeaker.indexOf(key)
+      if (index >= 0 && index < config.speakers.length) {
+        setActiveSpeaker(config.speakers[index])
+      }
+    } else if (action === 'noSpeaker') {
+      setActiveSpeaker('')
+    } else if (action === 'scriptNext') {
+      showNextScriptCue()
+    } else if (action === 'scriptBack') {
+      moveScriptCue(-1)
+    } else if (action === 'scriptSkip') {
+      moveScriptCue(1)
+    } else if (action === 'toggleHelp') {
+      toggleShortcutHelp()
+    }
+  }
+
+  document.addEventListener('keydown', (ev) => {
+    // ビューアーとオーバーレイは操作を受け付けない。キオスク端末（lock=1）でも、キーで設定を変えられないようにする
+    if (IS_VIEWER || IS_OVERLAY || IS_LOCKED) return
+    if (isTextInputTarget(ev.target) || ev.ctrlKey || ev.altKey || ev.metaKey) return
+    if (ev.key === 'Escape' && shortcutHelp.style.display === 'block') {
+      toggleShortcutHelp()
+      return
+    }
+    const key = normalizeShortcutKey(ev.key)
+    const action = findShortcutAction(key)
+    if (action == null) return
+    // PageUp、PageDown、空白などのブラウザ既定の動作（スクロール）を止める
+    ev.preventDefault()
+    runShortcutAction(action, key)
+  })
+
+  /** @type {HTMLSelectElement} 音声認識結果の候補数のセレクタ */
+  const maxAlternativesSelector = document.getElementById('config-max-alternatives-list')
+  maxAlternativesSelector.addEventListener('change', (ev) => {
+    if (setMaxAlternatives(maxAlternativesSelector.value)) {
+      screenToConfig()
+    }
+  })
+
+  /**
+   * 音声認識結果の候補の最大数を設定する。
+   * @param {string} count 候補の最大数
+   * @return {boolean} trueなら設定は有効
+   */
+  function setMaxAlternatives(count) {
+    if (typeof count !== 'string') return false
+    const options = Array.from(maxAlternativesSelector.options).map(opt => opt.value)
+    if (options.includes(count) !== true) {
+      log(`setMaxAlternatives : parameter(${count}) is not in options.`)
+      return false
+    }
+    config.maxAlternatives = parseInt(count)
+    speechRecognizer.setMaxAlternatives(config.maxAlternatives)
+    if (maxAlternativesSelector.value !== count) {
+      maxAlternativesSelector.value = count
+    }
+    return true
+  }
+
+  /** @type {HTMLSelectElement} 低信頼度の判定基準のセレクタ */
+  const confidenceThresholdSelector = document.getElementById('config-confidence-threshold-list')
+  confidenceThresholdSelector.addEventListener('change', (ev) => {
+    if (setConfidenceThreshold(confidenceThresholdSelector.value)) {
+      screenToConfig()
+    }
+  })
+
+  /**
+   * 低信頼度とみなす信頼度の基準を設定する。
+   * @param {string} threshold 基準値（0～1。0なら強調しない）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setConfidenceThreshold(threshold) {
+    if (typeof threshold !== 'string') return false
+    const options = Array.from(confidenceThresholdSelector.options).map(opt => opt.value)
+    if (options.includes(threshold) !== true) {
+      log(`setConfidenceThreshold : parameter(${threshold}) is not in options.`)
+      return false
+    }
+    config.confidenceThreshold = Number(threshold)
+    if (confidenceThresholdSelector.value !== threshold) {
+      confidenceThresholdSelector.value = threshold
+    }
+    refreshCaption()
+    return true
+  }
+
+  /** @type {HTMLSelectElement} 字幕自動消去秒数のセレクタ */
+  const clearTimeSelector = document.getElementById('config-auto-clear-list')
+  clearTimeSelector.addEventListener('change', (ev) => {
+    onClearTimeSelectionChanged()
+  })
+
+  /**
+   * 字幕自動消去秒数の選択肢のvalueを列挙する。
+   * @return {Array<string>} 字幕自動消去秒数の選択肢のvalueの配列
+   */
+  function enumerateClearTimeOptions() {
+    /** @type {Array<string>} */
+    let res = []
+    for (let opt of clearTimeSelector.options) {
+      log(`cleartime candidate : ${opt.value}[sec]`)
+      res.push(opt.value)
+    }
+    return res
+  }
+
+  /**
+   * 字幕自動消去秒数を変えた時の処理
+   */
+  function onClearTimeSelectionChanged() {
+    if (setCaptionAutoClearTime(clearTimeSelector.value)) {
+      screenToConfig()
+    }
+  }
+
+  /**
+   * ダウンロードファイル名用のタイムスタンプ文字列を作る。
+   * @param {Date} timestamp 時刻（省略時は現在時刻）
+   * @returns {string} タイムスタンプ文字列（例：20230315_123456）
+   */
+  function makeTimestampText(timestamp = new Date()) {
+    return timestamp.toISOString()
+      .replaceAll('T','_').replaceAll('Z','')
+      .replaceAll(':','').replaceAll('-','')
+      .substring(0,15)
+  }
+
+  /**
+   * Blobをファイルとしてダウンロードさせる。
+   * @param {Blob} blob ダウンロードさせる内容
+   * @param {string} fileName ファイル名
+   */
+  function downloadBlob(blob, fileName) {
+    const link = document.createElement('a')
+    link.download = fileName
+    link.href = URL.createObjectURL(blob)
+    link.click()
+    URL.revokeObjectURL(link.href)
+  }
+
+  /** @type {HTMLSelectElement} 字幕ダウンロード形式のセレクタ */
+  const downloadFormatSelector = document.getElementById('config-download-format')
+
+  /**
+   * 字幕を指定の形式でダウンロードさせる。
+   * @param {SpeechLog} source 字幕の取得元
+   * @param {string} format 形式（'txt' | 'srt' | 'vtt' | 'json'）
+   * @param {string} timestampText ファイル名に含めるタイムスタンプ文字列
+   */
+  function downloadCaptions(source, format, timestampText) {
+    log(`download captions : format=${format}`)
+    if (format === 'srt') {
+      const srt = SubtitleFormatter.toSrt(source.getWholeEntries())
+      downloadBlob(new Blob([srt], {type: 'application/x-subrip'}), `captioncam_${timestampText}.srt`)
+    } else if (format === 'vtt') {
+      const vtt = SubtitleFormatter.toVtt(source.getWholeEntries())
+      downloadBlob(new Blob([vtt], {type: 'text/vtt'}), `captioncam_${timestampText}.vtt`)
+    } else if (format === 'json') {
+      const json = SubtitleFormatter.toJson(source.getWholeEntries())
+      downloadBlob(new Blob([json], {type: 'application/json'}), `captioncam_${timestampText}.json`)
+    } else {
+      const log = source.getWholeLog()
+      downloadBlob(new Blob(log, {type: 'text/plain'}), `captioncam_${timestampText}.txt`)
+    }
+  }
+
+  /** @type {HTMLButtonElement} 字幕ダウンロードボタン */
+  const downloadCaptionButton = document.getElementById('config-download-captions')
+  downloadCaptionButton.addEventListener('click', ev => {
+    downloadCaptions(speechLog, downloadFormatSelector.value, makeTimestampText())
+  })
+
+  /** @type {HTMLButtonElement} 録画開始／停止ボタン */
+  const recordButton = document.getElementById('config-record')
+  recordButton.addEventListener('click', ev => {
+    toggleRecording()
+  })
+
+  /** @type {HTMLDivElement} 録画中の表示 */
+  const recordingIndicator = document.getElementById('recording-indicator')
+
+  // ========== ========== 音声認識の状態表示 ========== ==========
+
+  /** @type {Object<string,string>} 音声認識の状態ごとの表示文字列 */
+  const RECOGNIZER_STATE_LABELS = {
+    idle: '停止',
+    starting: '起動中',
+    listening: '待機中',
+    speech: '認識中',
+    restarting: '再起動中',
+    suspended: '一時停止',
+    failed: '認識エラー'
+  }
+
+  /** @type {HTMLDivElement} 音声認識の状態表示 */
+  const recognizerStatus = document.getElementById('recognizer-status')
+  /** @type {HTMLSpanElement} 音声認識の状態表示の文字列部分 */
+  const recognizerStatusLabel = document.getElementById('recognizer-status-label')
+
+  /**
+   * 音声認識の状態を画面に表示する。
+   * @param {string} state 音声認識の状態（SpeechRecognizer.stateの値）
+   */
+  function showRecognizerState(state) {
+    recognizerStatus.className = `state-${state}`
+    recognizerStatusLabel.textContent = RECOGNIZER_STATE_LABELS[state] ?? state
+    showMicWarning()
+  }
+
+  /** @type {HTMLButtonElement} 動作ログのダウンロードボタン */
+  const downloadOpLogButton = document.getElementById('config-download-oplog')
+  downloadOpLogButton.addEventListener('click', ev => {
+    const timestampText = makeTimestampText()
+    const blob = new Blob(logMessages, {type: 'text/plain'})
+    downloadBlob(blob, `captioncam_op_${timestampText}.txt`)
+  })
+
+  // ========== ========== マイク ========== ==========
+
+  /** @type {MicLevelMonitor} マイクの入力レベルの測定 */
+  const micMonitor = new MicLevelMonitor()
+
+  /** @type {boolean} 音声認識を開始していればtrue（入力レベルの測定は音声認識の開始後に行う） */
+  let isSpeechRecognitionStarted = false
+  micMonitor.onLog = (message) => { log(message) }
+  micMonitor.onLevel = (level) => {
+    // -60dB～0dBを棒の長さ（0%～100%）で表す
+    const db = (level > 0) ? 20 * Math.log10(level) : -Infinity
+    const percent = Math.min(Math.max((db + 60) / 60, 0), 1) * 100
+    micLevelBar.style.width = `${percent.toFixed(0)}%`
+  }
+  micMonitor.onSilenceChanged = (isSilent) => {
+    log(`mic silence : ${isSilent}`)
+    showMicWarning()
+  }
+
+  /** @type {HTMLSelectElement} マイクのセレクタ */
+  const micSelector = document.getElementById('config-mic-list')
+  micSelector.addEventListener('change', (ev) => {
+    if (setMicId(micSelector.value)) {
+      screenToConfig()
+    }
+  })
+
+  /** @type {HTMLSpanElement} マイクの入力レベルの棒 */
+  const micLevelBar = document.getElementById('config-mic-level-bar')
+
+  /** @type {HTMLDivElement} マイクの選択が音声認識に反映されない旨の注記 */
+  const micNote = document.getElementById('config-mic-note')
+
+  /** @type {HTMLSpanElement} マイクの音が届かない旨の警告 */
+  const micWarning = document.getElementById('mic-warning')
+
+  /** @type {HTMLSelectElement} 無音の警告までの時間のセレクタ */
+  const silenceWarningSelector = document.getElementById('config-silence-warning')
+  silenceWarningSelector.addEventListener('change', (ev) => {
+    if (setSilenceWarningTime(silenceWarningSelector.value)) {
+      screenToConfig()
+    }
+  })
+
+  if (navigator.mediaDevices != null && typeof navigator.mediaDevices.addEventListener === 'function') {
+    // マイクの抜き差しに合わせて一覧を更新する
+    navigator.mediaDevices.addEventListener('devicechange', ev => {
+      updateMicList()
+    })
+  }
+
+  /**
+   * 使用するマイクを設定する（音声認識と入力レベルの測定に反映する）。
+   * @param {string} deviceId マイクのdeviceId（空文字列なら既定のマイク）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setMicId(deviceId) {
+    if (typeof deviceId !== 'string') return false
+    const isChanged = (deviceId !== config.micId)
+    config.micId = deviceId
+    if (micSelector.value !== deviceId) {
+      // 一覧にまだないマイク（許可前など）は、一覧の更新時に選ばれる
+      micSelector.value = deviceId
+    }
+    speechRecognizer.setMicId(deviceId)
+    if (isChanged && micMonitor.isStarted) {
+      startMicMonitor()
+    }
+    return true
+  }
+
+  /**
+   * 無音の警告までの時間を設定する。
+   * @param {string} seconds 秒数（0なら警告しない）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setSilenceWarningTime(seconds) {
+    if (typeof seconds !== 'string') return false
+    const options = Array.from(silenceWarningSelector.options).map(opt => opt.value)
+    if (options.includes(seconds) !== true) {
+      log(`setSilenceWarningTime : parameter(${seconds}) is not in options.`)
+      return false
+    }
+    config.silenceWarningTime = parseInt(seconds)
+    micMonitor.silenceTimeout = config.silenceWarningTime * 1000
+    if (silenceWarningSelector.value !== seconds) {
+      silenceWarningSelector.value = seconds
+    }
+    updateMicMonitor()
+    return true
+  }
+
+  /**
+   * マイクの一覧（select要素）を更新する。
+   * 選ばれていたマイクが一覧になくても（抜かれた場合など）、設定は残して既定のマイクとして表示する。
+   */
+  async function updateMicList() {
+    if (navigator.mediaDevices == null || typeof navigator.mediaDevices.enumerateDevices !== 'function') return
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices()
+      while (micSelector.options.length > 1) {
+        micSelector.remove(1)
+      }
+      let count = 0
+      for (const info of devices) {
+        if (info.kind !== 'audioinput' || info.deviceId === '' || info.deviceId === 'default') continue
+        count++
+        const option = document.createElement('option')
+        option.value = info.deviceId
+        option.textContent = info.label || `マイク${count}`
+        micSelector.appendChild(option)
+      }
+      micSelector.value = config.micId
+      if (micSelector.value !== config.micId) {
+        micSelector.value = ''
+      }
+    } catch(err) {
+      log(`updateMicList : ${err}`)
+    }
+  }
+
+  /**
+   * 入力レベルの測定が必要な間だけ測定する（不要になれば止めてマイクを解放する）。
+   * 音声認識とは別にマイクを取得し続けると、Androidなどでは音声認識に音声が届かなくなることがあるため、
+   * 測定するのは設定画面を開いている間（入力レベルの表示や自己診断）と、無音の警告を有効にしている場合だけとする。
+   * 音声認識の一時停止中（手動入力、字幕ファイル、台本など）は測定しない。
+   */
+  function updateMicMonitor() {
+    const isNeeded = isSpeechRecognitionStarted && speechRecognizer.isSuspended !== true
+      && (configArea.style.display === 'flex' || config.silenceWarningTime > 0)
+    if (isNeeded && micMonitor.isStarted !== true) {
+      startMicMonitor()
+    } else if (isNeeded !== true && micMonitor.isStarted) {
+      micMonitor.stop()
+      micLevelBar.style.width = '0%'
+    }
+  }
+
+  /**
+   * 選ばれたマイクで入力レベルの測定を開始する（測定中なら取得し直す）。
+   * オーバーレイでは状態表示がないので測定しない。
+   */
+  async function startMicMonitor() {
+    if (IS_OVERLAY || MicLevelMonitor.isAvailable() !== true) return
+    try {
+      await micMonitor.start(config.micId)
+    } catch(err) {
+      log(`startMicMonitor : ${err}`)
+      return
+    }
+    // マイクの許可後はマイク名が取れるので一覧を更新する
+    updateMicList()
+  }
+
+  /**
+   * マイクの選択が音声認識に反映されない（ブラウザ内蔵の認識エンジンの）場合に注記を表示する。
+   */
+  function updateMicNote() {
+    micNote.style.display = speechRecognizer.backend.supportsMicSelection ? 'none' : ''
+  }
+
+  /**
+   * マイクの音が届かない旨の警告を表示または非表示にする（音声認識の一時停止中は表示しない）。
+   */
+  function showMicWarning() {
+    const isShown = micMonitor.isSilent && speechRecognizer.state !== 'suspended'
+    micWarning.style.display = isShown ? 'inline' : 'none'
+  }
+
+  // ========== ========== 自己診断 ========== ==========
+
+  /** @type {number} 診断結果に含める動作ログの行数（新しいものから） */
+  const DIAGNOSTICS_LOG_LINES = 1000
+
+  /** @type {Object<string,string>} 診断結果の判定ごとの表示記号 */
+  const DIAGNOSTICS_STATUS_MARKS = {
+    ok: '✔',
+    warn: '⚠',
+    ng: '✖',
+    info: '・'
+  }
+
+  /**
+   * @typedef {Object} DiagnosticsCheck 自己診断の項目ごとの結果
+   * @property {string} name 項目名
+   * @property {'ok'|'warn'|'ng'|'info'} status 判定（正常、注意、異常、情報のみ）
+   * @property {string} detail 画面に表示する説明
+   * @property {Object} [data] 診断結果ファイルにのみ含める詳細
+   */
+
+  /** @type {HTMLUListElement} 自己診断の結果一覧 */
+  const selfTestResultList = document.getElementById('config-selftest-result')
+
+  /** @type {HTMLButtonElement} 自己診断の実行ボタン */
+  const selfTestRunButton = document.getElementById('config-selftest-run')
+  selfTestRunButton.addEventListener('click', async (ev) => {
+    showSelfTestResult(await runSelfTest())
+  })
+
+  /** @type {HTMLButtonElement} 診断結果（JSON）のダウンロードボタン */
+  const selfTestDownloadButton = document.getElementById('config-selftest-download')
+  selfTestDownloadButton.addEventListener('click', async (ev) => {
+    // ダウンロードの時点の状態を残すため、改めて診断する
+    const checks = await runSelfTest()
+    showSelfTestResult(checks)
+    const report = makeDiagnosticsReport(checks)
+    const blob = new Blob([JSON.stringify(report, null, 2)], {type: 'application/json'})
+    downloadBlob(blob, `captioncam_diag_${makeTimestampText()}.json`)
+  })
+
+  /**
+   * 自己診断を行う（個々の項目の失敗は結果に含め、例外にはしない）。
+   * @returns {Promise<Array<DiagnosticsCheck>>} 項目ごとの結果
+   */
+  async function runSelfTest() {
+    log('runSelfTest')
+    const checks = [
+      {
+        name: 'ブラウザ',
+        status: 'info',
+        detail: navigator.userAgent,
+        data: { userAgent: navigator.userAgent, language: navigator.language, mode: APP_MODE, url: location.origin + location.pathname }
+      },
+      checkSpeechRecognitionApi(),
+      checkSpeechAvailable(),
+      await checkPermission('camera', 'カメラの許可'),
+      await checkPermission('microphone', 'マイクの許可'),
+      checkCamera(),
+      checkMicrophone(),
+      await checkServiceWorker(),
+      await checkStorage()
+    ]
+    checks.forEach(check => { log(`self test : ${check.name} ${check.status} ${check.detail}`) })
+    return checks
+  }
+
+  /**
+   * 音声認識API（SpeechRecognition）がブラウザにあるかを調べる。
+   * @returns {DiagnosticsCheck} 結果
+   */
+  function checkSpeechRecognitionApi() {
+    const name = '音声認識API'
+    const apiName = ('SpeechRecognition' in window) ? 'SpeechRecognition'
+      : ('webkitSpeechRecognition' in window) ? 'webkitSpeechRecognition' : null
+    if (apiName != null) {
+      return { name: name, status: 'ok', detail: `あり（${apiName}）` }
+    }
+    // ローカルサーバーで認識する場合はブラウザ内蔵の音声認識は不要
+    const status = (config.engine === 'websocket') ? 'info' : 'ng'
+    return { name: name, status: status, detail: 'なし（ブラウザ内蔵の認識エンジンは使えません）' }
+  }
+
+  /**
+   * 音声認識が実際に音声を処理できたか（isSpeechAvailable）を調べる。
+   * @returns {DiagnosticsCheck} 結果
+   */
+  function checkSpeechAvailable() {
+    const data = {
+      engine: speechRecognizer.backend.name,
+      state: speechRecognizer.state,
+      available: speechRecognizer.available,
+      isSpeechAvailable: speechRecognizer.isSpeechAvailable
+    }
+    const stateText = RECOGNIZER_STATE_LABELS[speechRecognizer.state] ?? speechRecognizer.state
+    if (speechRecognizer.isSpeechAvailable) {
+      return { name: '音声認識', status: 'ok', detail: `音声を認識できています（${data.engine}、${stateText}）`, data: data }
+    }
+    const status = (speechRecognizer.available && speechRecognizer.state !== 'failed') ? 'warn' : 'ng'
+    return { name: '音声認識', status: status, detail: `まだ音声を認識していません（${data.engine}、${stateText}）。話しかけてから再度診断してください`, data: data }
+  }
+
+  /**
+   * カメラやマイクの使用許可の状態を調べる。
+   * @param {'camera'|'microphone'} permissionName 許可の種類
+   * @param {string} name 項目名
+   * @returns {Promise<DiagnosticsCheck>} 結果
+   */
+  async function checkPermission(permissionName, name) {
+    if (navigator.permissions == null || typeof navigator.permissions.query !== 'function') {
+      return { name: name, status: 'info', detail: '不明（許可の状態を調べられないブラウザです）' }
+    }
+    try {
+      const result = await navigator.permissions.query({ name: permissionName })
+      const status = (result.state === 'granted') ? 'ok' : (result.state === 'denied') ? 'ng' : 'warn'
+      return { name: name, status: status, detail: result.state }
+    } catch(err) {
+      // Firefoxなどはcamera、microphoneの問い合わせに対応していない
+      return { name: name, status: 'info', detail: `不明（${err}）` }
+    }
+  }
+
+  /**
+   * 使用中の映像とカメラの性能（getCapabilities）を調べる。
+   * @returns {DiagnosticsCheck} 結果
+   */
+  function checkCamera() {
+    const name = 'カメラ'
+    if (activeVideoSource !== 'camera') {
+      return { name: name, status: 'info', detail: `カメラは使っていません（映像：${activeVideoSource ?? '未開始'}）` }
+    }
+    const track = getCameraTrack()
+    if (track == null) {
+      return { name: name, status: 'ng', detail: 'カメラの映像を取得できていません' }
+    }
+    const settings = (typeof track.getSettings === 'function') ? track.getSettings() : {}
+    const capabilities = (typeof track.getCapabilities === 'function') ? track.getCapabilities() : {}
+    const size = (settings.width != null) ? `${settings.width}x${settings.height}` : '不明'
+    return {
+      name: name,
+      status: (track.readyState === 'ended') ? 'ng' : 'ok',
+      detail: `${track.label}（${size}、${track.readyState}）`,
+      data: { label: track.label, readyState: track.readyState, settings: settings, capabilities: capabilities }
+    }
+  }
+
+  /**
+   * 入力レベルの測定に使っているマイクを調べる。
+   * @returns {DiagnosticsCheck} 結果
+   */
+  function checkMicrophone() {
+    const name = 'マイク'
+    const track = micMonitor.stream?.getAudioTracks()[0]
+    if (track == null) {
+      return { name: name, status: 'warn', detail: 'マイクの入力レベルを測れていません', data: { micId: config.micId } }
+    }
+    const data = {
+      micId: config.micId,
+      label: track.label,
+      readyState: track.readyState,
+      isSilent: micMonitor.isSilent,
+      settings: (typeof track.getSettings === 'function') ? track.getSettings() : {}
+    }
+    if (micMonitor.isSilent) {
+      return { name: name, status: 'warn', detail: `${track.label}（音声が届いていません）`, data: data }
+    }
+    return { name: name, status: 'ok', detail: track.label, data: data }
+  }
+
+  /**
+   * Service Worker（PWA）の状態を調べる。
+   * @returns {Promise<DiagnosticsCheck>} 結果
+   */
+  async function checkServiceWorker() {
+    const name = 'Service Worker'
+    if (('serviceWorker' in navigator) !== true) {
+      return { name: name, status: 'info', detail: '非対応（または安全でない接続です）' }
+    }
+    try {
+      const registration = await navigator.serviceWorker.getRegistration()
+      if (registration == null) {
+        return { name: name, status: 'warn', detail: '未登録' }
+      }
+      const worker = registration.active ?? registration.waiting ?? registration.installing
+      const data = {
+        scope: registration.scope,
+        state: worker?.state ?? 'none',
+        controlled: navigator.serviceWorker.controller != null
+      }
+      const status = (data.state === 'activated') ? 'ok' : 'warn'
+      return { name: name, status: status, detail: `${data.state}（${data.controlled ? '制御中' : '未制御'}）`, data: data }
+    } catch(err) {
+      return { name: name, status: 'ng', detail: `${err}` }
+    }
+  }
+
+  /**
+   * ストレージ（設定、字幕の履歴の保存先）の使用量と上限を調べる。
+   * @returns {Promise<DiagnosticsCheck>} 結果
+   */
+  async function checkStorage() {
+    const name = 'ストレージ'
+    if (navigator.storage == null || typeof navigator.storage.estimate !== 'function') {
+      return { name: name, status: 'info', detail: '不明（使用量を調べられないブラウザです）' }
+    }
+    try {
+      const estimate = await navigator.storage.estimate()
+      const persisted = (typeof navigator.storage.persisted === 'function') ? await navigator.storage.persisted() : null
+      const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(1)
+      const usage = estimate.usage ?? 0
+      const quota = estimate.quota ?? 0
+      // 残りが１割を切ったら字幕の履歴が保存できなくなるおそれがある
+      const status = (quota > 0 && usage > quota * 0.9) ? 'warn' : 'ok'
+      return {
+        name: name,
+        status: status,
+        detail: `${toMB(usage)}MB / ${toMB(quota)}MB${persisted ? '（永続化済み）' : ''}`,
+        data: { usage: usage, quota: quota, persisted: persisted }
+      }
+    } catch(err) {
+      return { name: name, status: 'ng', detail: `${err}` }
+    }
+  }
+
+  /**
+   * 自己診断の結果を画面に表示する。
+   * @param {Array<DiagnosticsCheck>} checks 項目ごとの結果
+   */
+  function showSelfTestResult(checks) {
+    while (selfTestResultList.firstChild) {
+      selfTestResultList.removeChild(selfTestResultList.firstChild)
+    }
+    for (const check of checks) {
+      const item = document.createElement('li')
+      item.className = `selftest-${check.status}`
+      item.textContent = `${DIAGNOSTICS_STATUS_MARKS[check.status]} ${check.name}：${check.detail}`
+      selfTestResultList.appendChild(item)
+    }
+  }
+
+  /**
+   * 診断結果ファイルの内容を作る。
+   * 翻訳サービスのAPIキーは、設定と動作ログのどちらからも伏せる。
+   * @param {Array<DiagnosticsCheck>} checks 項目ごとの結果
+   * @returns {Object} 診断結果（JSONに変換してダウンロードさせる）
+   */
+  function makeDiagnosticsReport(checks) {
+    // 動作ログには秘密の項目を出さないようにしているが、念のためここでも伏せる
+    const secrets = []
+    for (const settings of Object.values(config.translationSettings)) {
+      SECRET_SETTING_KEYS.forEach(key => {
+        if (typeof settings?.[key] === 'string' && settings[key].length > 0) {
+          secrets.push(settings[key])
+        }
+      })
+    }
+    const hideSecretText = (text) => secrets.reduce((result, secret) => result.replaceAll(secret, '***'), text)
+    return {
+      generatedAt: new Date().toISOString(),
+      checks: checks,
+      config: hideSecrets(config, '***'),
+      log: logMessages.slice(-DIAGNOSTICS_LOG_LINES).map(line => hideSecretText(line.trimEnd()))
+    }
+  }
+
+  // ========== ========== 置換辞書 ========== ==========
+
+  const replacementDictionary = new ReplacementDictionary((message) => { log(message) })
+
+  /** @type {HTMLTextAreaElement} 置換辞書の編集欄（CSV形式） */
+  const dictionaryText = document.getElementById('config-dictionary-text')
+
+  /** @type {HTMLButtonElement} 置換辞書の適用ボタン */
+  const dictionaryApplyButton = document.getElementById('config-dictionary-apply')
+  dictionaryApplyButton.addEventListener('click', ev => {
+    applyDictionaryRules(ReplacementDictionary.parseCsv(dictionaryText.value))
+  })
+
+  /** @type {HTMLInputElement} 置換辞書ファイルの選択欄（非表示） */
+  const dictionaryFileInput = document.getElementById('config-dictionary-file')
+  dictionaryFileInput.addEventListener('change', async (ev) => {
+    const file = dictionaryFileInput.files[0]
+    dictionaryFileInput.value = ''
+    if (file == null) return
+    try {
+      const text = await file.text()
+      const rules = file.name.toLowerCase().endsWith('.json')
+        ? ReplacementDictionary.parseJson(text)
+        : ReplacementDictionary.parseCsv(text)
+      log(`dictionary file loaded : ${file.name} (${rules.length} rules)`)
+      applyDictionaryRules(rules)
+    } catch(err) {
+      log(`error in loading dictionary file. info=${err}`)
+      alert(`置換辞書ファイルを読み込めませんでした（${err}）。`)
+    }
+  })
+
+  /** @type {HTMLButtonElement} 置換辞書の読込ボタン */
+  const dictionaryImportButton = document.getElementById('config-dictionary-import')
+  dictionaryImportButton.addEventListener('click', ev => {
+    dictionaryFileInput.click()
+  })
+
+  /** @type {HTMLButtonElement} 置換辞書のCSV保存ボタン */
+  const dictionaryExportCsvButton = document.getElementById('config-dictionary-export-csv')
+  dictionaryExportCsvButton.addEventListener('click', ev => {
+    const blob = new Blob([replacementDictionary.toCsv()], {type: 'text/csv'})
+    downloadBlob(blob, `captioncam_dictionary_${makeTimestampText()}.csv`)
+  })
+
+  /** @type {HTMLButtonElement} 置換辞書のJSON保存ボタン */
+  const dictionaryExportJsonButton = document.getElementById('config-dictionary-export-json')
+  dictionaryExportJsonButton.addEventListener('click', ev => {
+    const blob = new Blob([replacementDictionary.toJson()], {type: 'application/json'})
+    downloadBlob(blob, `captioncam_dictionary_${makeTimestampText()}.json`)
+  })
+
+  /**
+   * 置換規則を適用し、localStorageに保存して画面に反映する。
+   * @param {Array<ReplacementRule>} rules 置換規則の配列
+   */
+  function applyDictionaryRules(rules) {
+    const errors = replacementDictionary.setRules(rules)
+    localStorage.setItem(DICTIONARY_STORAGE_KEY, replacementDictionary.toJson())
+    dictionaryText.value = replacementDictionary.toCsv()
+    // 起動中や受信待ちの案内は消さないよう、字幕の表示中だけ新しい辞書で作り直す
+    if (displayedSegments.length > 0) {
+      updateCaptionSegments(speechLog.getCurrentSegments())
+    } else {
+      updateTranscriptPanel()
+    }
+    if (errors.length > 0) {
+      alert(`次の正規表現は誤りがあるため適用されません。\n${errors.join('\n')}`)
+    }
+  }
+
+  /**
+   * localStorageの置換辞書を読み込む。
+   */
+  function loadDictionary() {
+    const json = localStorage.getItem(DICTIONARY_STORAGE_KEY)
+    log(`dictionary(${DICTIONARY_STORAGE_KEY}) : ${json}`)
+    if (json != null && json.length > 0) {
+      try {
+        replacementDictionary.setRules(ReplacementDictionary.parseJson(json))
+      } catch(err) {
+        log(`JSON parse error : ${err}`)
+        localStorage.removeItem(DICTIONARY_STORAGE_KEY)
+      }
+    }
+    dictionaryText.value = replacementDictionary.toCsv()
+  }
+
+  // ========== ========== 字幕の履歴 ========== ==========
+
+  const sessionStore = new SessionStore((message) => { log(message) })
+
+  /** @type {Promise<number|null> | null} 現在のセッションのID（保存しない場合はnull） */
+  let historySessionId = null
+
+  /** @type {WeakMap<SpeechEntry, Promise<number|null>>} 保存した字幕項目と、その保存先のID */
+  const historyEntryKeys = new WeakMap()
+
+  /** @type {HTMLDetailsElement} 字幕の履歴の領域 */
+  const historyContainer = document.getElementById('config-history-container')
+  historyContainer.addEventListener('toggle', ev => {
+    if (historyContainer.open) {
+      updateHistoryList()
+    }
+  })
+
+  /** @type {HTMLSelectElement} 保存されたセッションの一覧 */
+  const historySelector = document.getElementById('config-history-list')
+
+  /** @type {HTMLTextAreaElement} 選択したセッションの字幕の表示欄 */
+  const historyPreview = document.getElementById('config-history-preview')
+
+  /** @type {HTMLButtonElement} セッションの表示ボタン */
+  const historyOpenButton = document.getElementById('config-history-open')
+  historyOpenButton.addEventListener('click', async (ev) => {
+    const source = await loadHistorySession(historySelector.value)
+    if (source == null) return
+    historyPreview.value = source.log.getWholeLog().join('')
+  })
+
+  /** @type {HTMLButtonElement} セッションのダウンロードボタン（形式は字幕ダウンロードと同じ） */
+  const historyDownloadButton = document.getElementById('config-history-download')
+  historyDownloadButton.addEventListener('click', async (ev) => {
+    const source = await loadHistorySession(historySelector.value)
+    if (source == null) return
+    downloadCaptions(source.log, downloadFormatSelector.value, makeTimestampText(new Date(source.session.startTime)))
+  })
+
+  /** @type {HTMLButtonElement} セッションの削除ボタン */
+  const historyDeleteButton = document.getElementById('config-history-delete')
+  historyDeleteButton.addEventListener('click', async (ev) => {
+    const option = historySelector.selectedOptions[0]
+    if (option == null) return
+    if (confirm(`「${option.text}」の字幕を削除しますか？`) !== true) return
+    try {
+      await sessionStore.deleteSession(Number(option.value))
+    } catch(err) {
+      log(`error in deleting history session. info=${err}`)
+    }
+    historyPreview.value = ''
+    updateHistoryList()
+  })
+
+  /** @type {HTMLSelectElement} 保存するセッション数のセレクタ */
+  const historyLimitSelector = document.getElementById('config-history-limit')
+  historyLimitSelector.addEventListener('change', ev => {
+    if (setHistoryLimit(Number(historyLimitSelector.value))) {
+      screenToConfig()
+    }
+  })
+
+  /**
+   * 保存するセッション数を設定する（超えた分は古いものから削除する）。
+   * @param {number} limit 保存するセッション数（0なら保存しない）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setHistoryLimit(limit) {
+    if (isNumber(limit) !== true || limit < 0) return false
+    limit = Math.floor(limit)
+    ensureNumberOption(historyLimitSelector, limit)
+    historyLimitSelector.value = limit.toString()
+    config.historyLimit = limit
+    if (limit < 1) {
+      // 現在のセッションも以後は保存しない（保存済みのものは残す）
+      historySessionId = null
+    } else if (SessionStore.isAvailable()) {
+      sessionStore.trim(limit).catch(err => { log(`error in trimming history. info=${err}`) })
+      if (speechLog.sessionStart != null) {
+        beginHistorySession()
+      }
+    }
+    return true
+  }
+
+  /**
+   * 現在のセッションの保存を始める（保存数が0の場合やIndexedDBが使えない場合は何もしない）。
+   */
+  function beginHistorySession() {
+    if (historySessionId != null) return
+    if (config.historyLimit < 1 || SessionStore.isAvailable() !== true) return
+    const info = {
+      startTime: (speechLog.sessionStart != null) ? speechLog.sessionStart : Date.now(),
+      device: cameraList.selectedOptions[0]?.text ?? '',
+      lang: config.lang
+    }
+    historySessionId = sessionStore.createSession(info)
+      .then(async (id) => {
+        log(`history session created : id=${id}`)
+        await sessionStore.trim(config.historyLimit)
+        return id
+      })
+      .catch(err => {
+        log(`error in creating history session. info=${err}`)
+        return null
+      })
+  }
+
+  /**
+   * 確定した字幕項目を保存する。
+   * @param {SpeechEntry} entry 確定した字幕項目
+   * @param {SpeechEntry | null} replaced entryに置き換えられた字幕項目（あれば、その保存先を上書きする）
+   */
+  function saveEntryToHistory(entry, replaced) {
+    if (historySessionId == null) return
+    const replacedKey = (replaced != null) ? historyEntryKeys.get(replaced) : undefined
+    const key = historySessionId.then(async (sessionId) => {
+      if (sessionId == null) return null
+      const id = (replacedKey != null) ? await replacedKey : null
+      if (id != null) {
+        await sessionStore.putEntry(id, sessionId, entry)
+        return id
+      }
+      return sessionStore.addEntry(sessionId, entry)
+    }).catch(err => {
+      log(`error in saving history entry. info=${err}`)
+      return null
+    })
+    historyEntryKeys.set(entry, key)
+  }
+
+  /**
+   * 保存済みの字幕項目を更新する（翻訳結果などを反映する）。
+   * @param {SpeechEntry} entry 更新された字幕項目
+   */
+  function updateEntryInHistory(entry) {
+    const key = historyEntryKeys.get(entry)
+    if (key == null || historySessionId == null) return
+    Promise.all([historySessionId, key]).then(async ([sessionId, id]) => {
+      if (sessionId == null || id == null) return
+      await sessionStore.putEntry(id, sessionId, entry)
+    }).catch(err => {
+      log(`error in updating history entry. info=${err}`)
+    })
+  }
+
+  /**
+   * 保存されたセッションの一覧を更新する。
+   */
+  async function updateHistoryList() {
+    if (SessionStore.isAvailable() !== true) return
+    try {
+      const sessions = await sessionStore.listSessions()
+      const selected = historySelector.value
+      while(historySelector.firstChild) {
+        historySelector.removeChild(historySelector.firstChild)
+      }
+      sessions.forEach(session => {
+        const option = document.createElement('option')
+        option.value = session.id.toString()
+        const start = new Date(session.startTime).toLocaleString()
+        const device = (session.device.length > 0) ? ` ${session.device}` : ''
+        option.text = `${start}${device} ${session.lang}（${session.entryCount}件）`
+        historySelector.appendChild(option)
+      })
+      if (sessions.some(session => session.id.toString() === selected)) {
+        historySelector.value = selected
+      }
+    } catch(err) {
+      log(`error in listing history sessions. info=${err}`)
+    }
+  }
+
+  /**
+   * 保存されたセッションを読み込む。
+   * 置換辞書は現在のものを適用するため、字幕ログ（SpeechLog）に詰め直して返す。
+   * @param {string} value セッション一覧の選択値（セッションのID）
+   * @returns {Promise<{session:Object, log:SpeechLog} | null>} セッションの情報と字幕ログ（読み込めなければnull）
+   */
+  async function loadHistorySession(value) {
+    if (value == null || value.length < 1) {
+      alert('セッションを選択してください。')
+      return null
+    }
+    try {
+      const id = Number(value)
+      const session = (await sessionStore.listSessions()).find(s => s.id === id)
+      if (session == null) return null
+      const historyLog = new SpeechLog()
+      historyLog.textFilter = speechLog.textFilter
+      historyLog.sessionStart = session.startTime
+      historyLog.wholeLog = await sessionStore.getEntries(id)
+      log(`history session loaded : id=${id} entries=${historyLog.wholeLog.length}`)
+      return { session: session, log: historyLog }
+    } catch(err) {
+      log(`error in loading history session. info=${err}`)
+      alert(`字幕の履歴を読み込めませんでした（${err}）。`)
+      return null
+    }
+  }
+
+  if (SessionStore.isAvailable() !== true) {
+    historyContainer.style.display = 'none'
+  }
+
+  // ========== ========== 設定プロファイル ========== ==========
+
+  /** @type {Object<string, Object>} 名前つきの設定（キーはプロファイル名、値は設定オブジェクト） */
+  let profiles = {}
+
+  /** @type {HTMLSelectElement} プロファイル一覧 */
+  const profileSelector = document.getElementById('config-profile-list')
+
+  /** @type {HTMLInputElement} 保存するプロファイル名の入力欄 */
+  const profileNameInput = document.getElementById('config-profile-name')
+
+  /** @type {HTMLButtonElement} プロファイルの切替ボタン */
+  const profileSwitchButton = document.getElementById('config-profile-switch')
+  profileSwitchButton.addEventListener('click', ev => {
+    switchProfile(profileSelector.value)
+  })
+
+  /** @type {HTMLButtonElement} プロファイルの保存ボタン */
+  const profileSaveButton = document.getElementById('config-profile-save')
+  profileSaveButton.addEventListener('click', ev => {
+    const name = profileNameInput.value.trim()
+    if (name.length < 1) {
+      alert('プロファイル名を入力してください。')
+      return
+    }
+    if (profiles.hasOwnProperty(name) && confirm(`プロファイル「${name}」を上書きしますか？`) !== true) return
+    saveProfile(name)
+  })
+
+  /** @type {HTMLButtonElement} プロファイルの削除ボタン */
+  const profileDeleteButton = document.getElementById('config-profile-delete')
+  profileDeleteButton.addEventListener('click', ev => {
+    const name = profileSelector.value
+    if (profiles.hasOwnProperty(name) !== true) return
+    if (confirm(`プロファイル「${name}」を削除しますか？`) !== true) return
+    deleteProfile(name)
+  })
+
+  /** @type {HTMLInputElement} プロファイルファイルの選択欄（非表示） */
+  const profileFileInput = document.getElementById('config-profile-file')
+  profileFileInput.addEventListener('change', async (ev) => {
+    const file = profileFileInput.files[0]
+    profileFileInput.value = ''
+    if (file == null) return
+    try {
+      importProfiles(await file.text())
+    } catch(err) {
+      log(`error in loading profile file. info=${err}`)
+      alert(`プロファイルファイルを読み込めませんでした（${err}）。`)
+    }
+  })
+
+  /** @type {HTMLButtonElement} プロファイルの読込ボタン */
+  const profileImportButton = document.getElementById('config-profile-import')
+  profileImportButton.addEventListener('click', ev => {
+    profileFileInput.click()
+  })
+
+  /** @type {HTMLButtonElement} プロファイルのJSON保存ボタン */
+  const profileExportButton = document.getElementById('config-profile-export')
+  profileExportButton.addEventListener('click', ev => {
+    if (Object.keys(profiles).length < 1) {
+      alert('保存されたプロファイルがありません。')
+      return
+    }
+    const blob = new Blob([JSON.stringify({ profiles: profiles }, null, 2)], {type: 'application/json'})
+    downloadBlob(blob, `captioncam_profiles_${makeTimestampText()}.json`)
+  })
+
+  /**
+   * 設定オブジェクトを検証する（makeDefaultConfig()と同じ項目・同じ型のみ有効）。
+   * @param {any} cfg 検証する設定オブジェクト
+   * @returns {{config:Object, errors:Array<string>}} 有効な項目のみの設定オブジェクトと、誤りの説明の配列
+   */
+  function validateConfig(cfg) {
+    const result = { config: {}, errors: [] }
+    if (cfg == null || typeof cfg !== 'object' || Array.isArray(cfg)) {
+      result.errors.push('設定がオブジェクトではありません')
+      return result
+    }
+    const defaults = makeDefaultConfig()
+    for (let key in cfg) {
+      if (defaults.hasOwnProperty(key) !== true) {
+        result.errors.push(`未知の項目：${key}`)
+      } else if (typeof cfg[key] !== typeof defaults[key] || Array.isArray(cfg[key]) !== Array.isArray(defaults[key])) {
+        result.errors.push(`型が不正な項目：${key}（${typeof cfg[key]}）`)
+      } else {
+        result.config[key] = cfg[key]
+      }
+    }
+    return result
+  }
+
+  /**
+   * プロファイル一覧を画面に反映する。
+   * @param {string} selected 選択状態にするプロファイル名
+   */
+  function updateProfileList(selected) {
+    while(profileSelector.firstChild) {
+      profileSelector.removeChild(profileSelector.firstChild)
+    }
+    Object.keys(profiles).sort().forEach(name => {
+      const option = document.createElement('option')
+      option.value = name
+      option.text = name
+      profileSelector.appendChild(option)
+    })
+    if (profiles.hasOwnProperty(selected)) {
+      profileSelector.value = selected
+    }
+  }
+
+  /**
+   * プロファイルをlocalStorageに保存する。
+   */
+  function storeProfiles() {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles))
+  }
+
+  /**
+   * 現在の設定を、名前をつけてプロファイルとして保存する。
+   * プロファイルは他の端末にも配るので、秘密の項目（翻訳サービスのAPIキー）は保存しない。
+   * @param {string} name プロファイル名
+   */
+  function saveProfile(name) {
+    profiles[name] = hideSecrets(config)
+    storeProfiles()
+    updateProfileList(name)
+    log(`saveProfile : ${name}`)
+  }
+
+  /**
+   * プロファイルの設定に切り替える（プロファイルに無い項目はデフォルト値とする）。
+   * @param {string} name プロファイル名
+   * @returns {boolean} trueなら切り替えた
+   */
+  function switchProfile(name) {
+    if (profiles.hasOwnProperty(name) !== true) return false
+    log(`switchProfile : ${name}`)
+    const profileConfig = { ...makeDefaultConfig(), ...validateConfig(profiles[name]).config }
+    profileConfig.translationSettings = keepCurrentSecrets(profileConfig.translationSettings)
+    singleConfigToScreen(profileConfig)
+    screenToConfig()
+    profileNameInput.value = name
+    return true
+  }
+
+  /**
+   * プロファイルを削除する。
+   * @param {string} name プロファイル名
+   */
+  function deleteProfile(name) {
+    delete profiles[name]
+    storeProfiles()
+    updateProfileList('')
+    log(`deleteProfile : ${name}`)
+  }
+
+  /**
+   * JSON形式のプロファイル（{profiles: {プロファイル名: 設定オブジェクト}}）を読み込んで追加する。
+   * 誤りのある項目を含む場合は、何も追加せずに誤りを表示する。
+   * @param {string} json JSON文字列
+   * @returns {boolean} trueなら追加した
+   */
+  function importProfiles(json) {
+    const data = JSON.parse(json)
+    if (data == null || data.profiles == null || typeof data.profiles !== 'object' || Array.isArray(data.profiles)) {
+      throw new Error('profiles not found')
+    }
+    const imported = {}
+    const errors = []
+    for (let name in data.profiles) {
+      const result = validateConfig(data.profiles[name])
+      result.errors.forEach(error => errors.push(`${name}：${error}`))
+      imported[name] = hideSecrets(result.config)
+    }
+    if (errors.length > 0) {
+      alert(`次の誤りがあるため読み込みませんでした。\n${errors.join('\n')}`)
+      return false
+    }
+    const names = Object.keys(imported)
+    log(`importProfiles : ${names.join(',')}`)
+    Object.assign(profiles, imported)
+    storeProfiles()
+    updateProfileList(names[0])
+    return true
+  }
+
+  /**
+   * localStorageのプロファイルを読み込む（誤りのある項目は無視する）。
+   */
+  function loadProfiles() {
+    const json = localStorage.getItem(PROFILES_STORAGE_KEY)
+    log(`profiles(${PROFILES_STORAGE_KEY}) : ${(json != null) ? `${json.length}[chars]` : json}`)
+    if (json != null && json.length > 0) {
+      try {
+        const data = JSON.parse(json)
+        for (let name in data) {
+          // 以前のバージョンで秘密の項目ごと保存されたプロファイルからも除く
+          profiles[name] = hideSecrets(validateConfig(data[name]).config)
+        }
+      } catch(err) {
+        log(`JSON parse error : ${err}`)
+        localStorage.removeItem(PROFILES_STORAGE_KEY)
+      }
+    }
+    updateProfileList('')
+  }
+
+  // ========== ========== 字幕の配信 ========== ==========
+
+  const captionBroadcaster = new CaptionBroadcaster((message) => { log(message) })
+
+  /** @type {HTMLInputElement} 中継サーバーのURL入力欄 */
+  const relayUrlInput = document.getElementById('config-relay-url')
+  relayUrlInput.addEventListener('change', (ev) => {
+    if (setRelayUrl(relayUrlInput.value.trim())) {
+      screenToConfig()
+    } else {
+      relayUrlInput.value = config.relayUrl
+    }
+  })
+
+  /**
+   * 字幕を配信する中継サーバーのURLを設定する。
+   * @param {string} url WebSocketのURL（ws://またはwss://）。空文字列なら中継しない
+   * @return {boolean} trueなら設定は有効
+   */
+  function setRelayUrl(url) {
+    if (typeof url !== 'string' || (url.length > 0 && /^wss?:\/\/.+/.test(url) !== true)) {
+      log(`setRelayUrl : parameter(${url}) is not WebSocket URL.`)
+      return false
+    }
+    config.relayUrl = url
+    if (relayUrlInput.value !== url) {
+      relayUrlInput.value = url
+    }
+    captionBroadcaster.setRelayUrl(url)
+    return true
+  }
+
+  /**
+   * 現在の字幕をビューアーに配信する（ビューアー自身と、オーバーレイは配信しない）。
+   * オーバーレイは同じPCの本体と並べて使うので、配信すると２つの音声認識の字幕がビューアーで混ざってしまう。
+   * @param {Array<CaptionSegment>} segments 現在の字幕
+   */
+  function broadcastCaption(segments) {
+    if (IS_VIEWER || IS_OVERLAY) return
+    captionBroadcaster.send({ type: 'caption', segments: segments })
+  }
 
-  function makeDefaultConfig() {
-    return {
-      /** @type {'auto'|'mute'|'input'} 字幕ソース（音声認識、字幕領域非表示、手動入力） */
-      source: 'auto',
-      /** @type {string} フォントファミリ */
-      fontFamily: 'sans-serif',
-      /** @type {boolean} 太字 */
-      isBold: false,
-      /** @type {number} フォントサイズ（vhで指定）。デフォルト値は「1行=表示領域の10%」になるよう設定 */
-      fontSize: 7.6, 
-      /** @type {number} 行の高さの、フォント高さに対する比率の%値。7.6*130/100=9.88≒10 */
-      lineHeight: 130,
-      /** @type {number} 自動で字幕を消去するまでの秒数 */
-      clearTime: 10,
-      /** @type {'bottom'|'top'|'left'|'right'} 字幕領域の位置（あわせて他の配置も変化する） */
-      position: 'bottom'
+  /**
+   * 表示設定をビューアーに配信する（ビューアー自身と、オーバーレイは配信しない）。
+   */
+  function broadcastStyle() {
+    if (IS_VIEWER || IS_OVERLAY) return
+    const style = {}
+    VIEWER_STYLE_KEYS.forEach(key => { style[key] = config[key] })
+    captionBroadcaster.send({ type: 'style', style: style })
+  }
+
+  captionBroadcaster.onMessage = (message) => {
+    if (message == null) return
+    if (IS_VIEWER) {
+      if (message.type === 'caption' && Array.isArray(message.segments)) {
+        updateCaptionSegments(message.segments)
+      } else if (message.type === 'style' && message.style != null) {
+        const style = {}
+        VIEWER_STYLE_KEYS.forEach(key => { style[key] = message.style[key] })
+        singleConfigToScreen(style)
+      }
+    } else if (message.type === 'request' && IS_OVERLAY !== true) {
+      broadcastStyle()
+      captionBroadcaster.send({ type: 'caption', segments: displayedSegments })
     }
   }
 
   /**
-   * 設定オブジェクトを画面に反映する。
-   * @param {any} cfg 
+   * ビューアーとして動作を開始する（カメラや音声認識は使わない）。
+   * 中継サーバーのURLはクエリパラメータ「relay」で指定する。
    */
-  function singleConfigToScreen(cfg) {
-    if (setSource(cfg.source)) {
-      setSourceRadioButton(cfg.source)
-      log(`source=${cfg.source}`)
+  function startViewer() {
+    log('start as viewer')
+    document.body.classList.add('viewer')
+    captionArea.textContent = '（字幕の受信待ち...）'
+    const relayUrl = new URLSearchParams(location.search).get('relay')
+    if (relayUrl != null && /^wss?:\/\/.+/.test(relayUrl)) {
+      captionBroadcaster.setRelayUrl(relayUrl)
     }
-    if (cfg.fontFamily != null) {
-      if (setFontFamily(cfg.fontFamily)) {
-        log(`fontFamily=${cfg.fontFamily}`)
-      } else {
-        cfg.fontFamily = 'sans-serif'
-      }
+    captionBroadcaster.send({ type: 'request' })
+  }
+
+  // ========== ========== 翻訳 ========== ==========
+
+  /** @type {TranslationProvider} 使用中の翻訳サービス */
+  let translationProvider = new TranslationProvider()
+
+  /** @type {HTMLSelectElement} 翻訳サービスのセレクタ */
+  const translationProviderSelector = document.getElementById('config-translation-provider')
+  translationProviderSelector.addEventListener('change', (ev) => {
+    if (setTranslationProvider(translationProviderSelector.value)) {
+      screenToConfig()
     }
-    if (cfg.isBold === true) {
-      setFontWeight(true)
-      log('bold')
+  })
+
+  /** @type {HTMLSelectElement} 翻訳先の言語のセレクタ */
+  const translationLangSelector = document.getElementById('config-translation-lang')
+  translationLangSelector.addEventListener('change', (ev) => {
+    if (setTranslationLang(translationLangSelector.value)) {
+      screenToConfig()
     }
-    if (cfg.fontSize != null) {
-      setCaptionFontSize(cfg.fontSize)
-      log(`fontSize=${cfg.fontSize}`)
+  })
+
+  /** @type {HTMLInputElement} 翻訳サーバーのURLの入力欄 */
+  const translationUrlInput = document.getElementById('config-translation-url')
+  translationUrlInput.addEventListener('change', (ev) => {
+    const url = translationUrlInput.value.trim()
+    if (/^https?:\/\/.+/.test(url) !== true) {
+      log(`translation url : parameter(${url}) is not HTTP URL.`)
+      translationUrlInput.value = getTranslationSettings('http').url
+      return
     }
-    if (cfg.lineHeight != null) {
-      setCaptionLineHeight(cfg.lineHeight)
-      log(`lineHeight=${cfg.lineHeight}`)
+    updateTranslationSettings('http', { url: url })
+  })
+
+  /** @type {HTMLInputElement} 翻訳サーバーのAPIキーの入力欄 */
+  const translationApiKeyInput = document.getElementById('config-translation-api-key')
+  translationApiKeyInput.addEventListener('change', (ev) => {
+    updateTranslationSettings('http', { apiKey: translationApiKeyInput.value.trim() })
+  })
+
+  /**
+   * 翻訳サービスを生成する。
+   * @param {'none' | 'http'} name 翻訳サービスの名前
+   * @returns {TranslationProvider} 翻訳サービス
+   */
+  function createTranslationProvider(name) {
+    let provider
+    if (name === 'http') {
+      provider = new HttpTranslationProvider(getTranslationSettings('http'))
+    } else {
+      provider = new TranslationProvider()
     }
-    if (cfg.clearTime != null) {
-      setCaptionAutoClearTime(cfg.clearTime.toString())
-      log(`clearTime=${cfg.clearTime}`)
+    provider.onLog = (message) => { log(message) }
+    return provider
+  }
+
+  /**
+   * 翻訳サービスの設定を取得する（保存されていない項目はデフォルト値で補う）。
+   * @param {string} name 翻訳サービスの名前
+   * @returns {Object} 翻訳サービスの設定
+   */
+  function getTranslationSettings(name) {
+    const defaults = (name === 'http') ? HttpTranslationProvider.DEFAULT_SETTINGS : {}
+    const saved = config.translationSettings[name]
+    return { ...defaults, ...((saved != null && typeof saved === 'object') ? saved : {}) }
+  }
+
+  /**
+   * 翻訳サービスの設定の一部を変更して保存する（使用中なら翻訳サービスを作り直す）。
+   * @param {string} name 翻訳サービスの名前
+   * @param {Object} values 変更する設定項目
+   */
+  function updateTranslationSettings(name, values) {
+    const settings = { ...config.translationSettings }
+    settings[name] = { ...getTranslationSettings(name), ...values }
+    if (setTranslationSettings(settings)) {
+      screenToConfig()
     }
-    if (setLayout(cfg.position)) {
-      setPositionRadioButton(cfg.position)
-      log(`position=${cfg.position}`)
+  }
+
+  /**
+   * 翻訳サービスごとの設定をまとめて設定する。
+   * @param {Object<string,Object>} settings 翻訳サービスごとの設定
+   * @return {boolean} trueなら設定は有効
+   */
+  function setTranslationSettings(settings) {
+    if (settings == null || typeof settings !== 'object' || Array.isArray(settings)) return false
+    config.translationSettings = settings
+    const httpSettings = getTranslationSettings('http')
+    translationUrlInput.value = httpSettings.url
+    translationApiKeyInput.value = httpSettings.apiKey
+    if (translationProvider.name !== 'none') {
+      translationProvider = createTranslationProvider(translationProvider.name)
     }
+    return true
   }
 
   /**
-   * 設定（localStorageまたはデフォルト値）を画面に反映する。
+   * 翻訳サービスを設定する。
+   * @param {'none' | 'http'} name 翻訳サービスの名前
+   * @return {boolean} trueなら設定は有効
    */
-  function configToScreen() {
-    log(`configToScreen default settings : ${JSON.stringify(config)}`)
-    const configJson = localStorage.getItem(STORAGE_KEY)
-    log(`config(${STORAGE_KEY}) : ${configJson}`)
-    if (configJson != null && configJson.length > 0) {
-      try {
-        const configStorage = JSON.parse(configJson)
-        for (let key in configStorage) {
-          if (config.hasOwnProperty(key)) {
-            config[key] = configStorage[key]
-          }
-        }
-      } catch(err) {
-        log(`JSON parse error : ${err}`)
-        localStorage.removeItem(STORAGE_KEY)
+  function setTranslationProvider(name) {
+    if (name !== 'none' && name !== 'http') return false
+    config.translationProvider = name
+    if (translationProviderSelector.value !== name) {
+      translationProviderSelector.value = name
+    }
+    const httpDisplay = (name === 'http') ? '' : 'none'
+    translationUrlInput.style.display = httpDisplay
+    translationApiKeyInput.style.display = httpDisplay
+    translationLangSelector.style.display = (name === 'none') ? 'none' : ''
+    if (name !== translationProvider.name) {
+      translationProvider = createTranslationProvider(name)
+    }
+    return true
+  }
+
+  /**
+   * 翻訳先の言語を設定する。
+   * @param {string} lang 言語（BCP 47形式）または'auto'
+   * @return {boolean} trueなら設定は有効
+   */
+  function setTranslationLang(lang) {
+    if (typeof lang !== 'string' || lang.length < 1) return false
+    config.translationLang = lang
+    ensureLangOption(translationLangSelector, lang)
+    if (translationLangSelector.value !== lang) {
+      translationLangSelector.value = lang
+    }
+    return true
+  }
+
+  /**
+   * 確定した字幕項目を翻訳し、翻訳結果が届いたら字幕を更新する。
+   * 翻訳元と翻訳先が同じ言語の場合は翻訳しない。
+   * @param {SpeechEntry} entry 確定した字幕項目
+   */
+  function translateEntry(entry) {
+    if (translationProvider.isAvailable() !== true) return
+    const sourceLang = config.lang
+    // 自動の場合は切替先の言語に翻訳する（Lキーで言語を入れ替えれば翻訳の向きも入れ替わる）
+    const targetLang = (config.translationLang !== 'auto') ? config.translationLang : config.altLang
+    if (TranslationProvider.toLanguageCode(sourceLang) === TranslationProvider.toLanguageCode(targetLang)) return
+    const text = speechLog.textFilter(entry.transcript)
+    translationProvider.translate(text, sourceLang, targetLang).then((translation) => {
+      entry.translation = translation
+      updateEntryInHistory(entry)
+      if (speechLog.currentResults.includes(entry)) {
+        updateCaptionSegments(speechLog.getCurrentSegments())
       }
+    }).catch((err) => {
+      log(`translation(${translationProvider.name}) failed : ${err}`)
+    })
+  }
+
+  // ========== ========== 字幕ファイルの再生 ========== ==========
+
+  /** @type {SubtitlePlayer} 字幕ファイルの再生 */
+  const subtitlePlayer = new SubtitlePlayer()
+
+  subtitlePlayer.onCue = (cue) => {
+    if (config.source !== 'subtitle') return
+    if (speechLog.addManualEntry(cue.text, Date.now(), 'file')) {
+      log(`subtitle cue : ${cue.text}`)
+      updateCaptionSegments(speechLog.getCurrentSegments())
+      setClearCaptionTimer()
     }
-    log(`configToScreen final settings : ${JSON.stringify(config)}`)
-    singleConfigToScreen(config)
   }
+  subtitlePlayer.onTimeUpdate = () => {
+    updateSubtitleControls()
+  }
+  subtitlePlayer.onEnded = () => {
+    log('subtitle playback ended')
+  }
+
+  /** @type {HTMLDivElement} 字幕ファイルの再生の操作部（字幕ソースが字幕ファイルの場合のみ表示） */
+  const subtitleContainer = document.getElementById('config-subtitle-container')
+
+  /** @type {HTMLInputElement} 字幕ファイルの選択欄（非表示） */
+  const subtitleFileInput = document.getElementById('config-subtitle-file')
+  subtitleFileInput.addEventListener('change', async (ev) => {
+    const file = subtitleFileInput.files[0]
+    subtitleFileInput.value = ''
+    if (file == null) return
+    try {
+      const cues = SubtitleFormatter.parse(await file.text())
+      if (cues.length < 1) {
+        alert('字幕ファイルに字幕が見つかりませんでした。')
+        return
+      }
+      clearCaptionNow()
+      subtitlePlayer.load(cues)
+      subtitleNameLabel.textContent = `${file.name}（${cues.length}件）`
+      log(`subtitle file loaded : ${file.name} (${cues.length} cues)`)
+    } catch(err) {
+      log(`error in loading subtitle file. info=${err}`)
+      alert(`字幕ファイルを読み込めませんでした（${err}）。`)
+    }
+  })
+
+  /** @type {HTMLButtonElement} 字幕ファイルの読込ボタン */
+  const subtitleLoadButton = document.getElementById('config-subtitle-load')
+  subtitleLoadButton.addEventListener('click', ev => {
+    subtitleFileInput.click()
+  })
+
+  /** @type {HTMLSpanElement} 読み込んだ字幕ファイルの名前 */
+  const subtitleNameLabel = document.getElementById('config-subtitle-name')
+
+  /** @type {HTMLButtonElement} 再生／一時停止ボタン */
+  const subtitlePlayButton = document.getElementById('config-subtitle-play')
+  subtitlePlayButton.addEventListener('click', ev => {
+    toggleSubtitlePlayback()
+  })
+
+  /** @type {boolean} 再生位置のスライダーを操作中ならtrue（操作中は再生の進みでスライダーを動かさない） */
+  let isSeekingSubtitle = false
+
+  /** @type {HTMLInputElement} 再生位置のスライダー（ミリ秒） */
+  const subtitleSeekInput = document.getElementById('config-subtitle-seek')
+  // 操作中は時刻の表示だけを変え、操作を終えたら再生位置を変える
+  subtitleSeekInput.addEventListener('input', ev => {
+    isSeekingSubtitle = true
+    subtitleTimeLabel.textContent = formatPlaybackTime(Number(subtitleSeekInput.value), subtitlePlayer.getDuration())
+  })
+  subtitleSeekInput.addEventListener('change', ev => {
+    isSeekingSubtitle = false
+    clearCaptionNow()
+    subtitlePlayer.seek(Number(subtitleSeekInput.value))
+  })
+  // 元の位置に戻して離した場合はchangeが来ないので、フォーカスが外れた時点で操作の終了とみなす
+  subtitleSeekInput.addEventListener('blur', ev => {
+    isSeekingSubtitle = false
+  })
+
+  /** @type {HTMLSpanElement} 再生位置と再生時間の表示 */
+  const subtitleTimeLabel = document.getElementById('config-subtitle-time')
+
+  /** @type {HTMLInputElement} 字幕の時刻のずれ（秒）の入力欄 */
+  const subtitleOffsetInput = document.getElementById('config-subtitle-offset')
+  subtitleOffsetInput.addEventListener('change', ev => {
+    const offset = Number(subtitleOffsetInput.value)
+    if (subtitleOffsetInput.value.trim().length < 1 || isNumber(offset) !== true) {
+      subtitleOffsetInput.value = subtitlePlayer.offset / 1000
+      return
+    }
+    // 表示中の字幕はずれを変える前の時刻で出したものなので消す
+    clearCaptionNow()
+    subtitlePlayer.setOffset(Math.round(offset * 1000))
+    log(`subtitle offset : ${subtitlePlayer.offset}[msec]`)
+  })
 
   /**
-   * 画面上の現在の設定をlocalStorageに保存する。
+   * 字幕ファイルの再生の操作部を表示する（隠す場合は再生を一時停止する）。
+   * @param {boolean} isShown 表示するならtrue
    */
-  function screenToConfig() {
-    const newConfig = JSON.stringify(config)
-    localStorage.setItem(STORAGE_KEY, newConfig)
-    log(`screenToConfig : ${newConfig}`)
+  function showSubtitleControls(isShown) {
+    subtitleContainer.style.display = isShown ? '' : 'none'
+    if (isShown !== true) {
+      subtitlePlayer.pause()
+    }
   }
 
   /**
-   * 字幕ソース設定文字列をもとに画面表示を制御する。
-   * @param {'auto' | 'mute' | 'input'} source 字幕ソースの選択を示す文字列
-   * @return {boolean} trueなら画面表示の設定が行われた。
+   * 字幕ファイルの再生／一時停止を切り替える。
    */
-  function setSource(source) {
-    // 字幕領域全体は visibility で制御（領域そのものは常に存在する前提）
-    // 音声認識や入力欄コンテナは display で制御（字幕領域の下のdivは常に１つ）
-    if (source === 'auto') {
-      captionContainer.style.visibility = 'visible'
-      captionArea.style.display = 'block'
-      captionInputContainer.style.display = 'none'
-      return true
-    } else if (source === 'mute') {
-      captionContainer.style.visibility = 'hidden'
-      return true
-    } else if (source === 'input') {
-      captionContainer.style.visibility = 'visible'
-      captionArea.style.display = 'none'
-      captionInputContainer.style.display = 'block'
-      return true
+  function toggleSubtitlePlayback() {
+    if (subtitlePlayer.isPlaying()) {
+      subtitlePlayer.pause()
+    } else {
+      subtitlePlayer.play()
     }
-    return false
   }
 
   /**
-   * 字幕位置文字列をもとに全体のレイアウトを設定する。
-   * @param {'bottom' | 'top' | 'left' | 'right'} position 字幕位置を示す文字列
-   * @return {boolean} trueならレイアウト設定が行われた。
+   * 再生位置と再生時間を「時:分:秒 / 時:分:秒」形式の文字列にする。
+   * @param {number} time 再生位置（ミリ秒）
+   * @param {number} duration 再生時間（ミリ秒）
+   * @returns {string} 表示用の文字列
    */
-  function setLayout(position) {
-    if (position === 'bottom') {
-      setLayoutCaptionBottom()
-      return true
-    } else if (position === 'top') {
-      setLayoutCaptionTop()
-      return true
-    } else if (position === 'left') {
-      setLayoutCaptionLeft()
-      return true
-    } else if (position === 'right') {
-      setLayoutCaptionRight()
-      return true
+  function formatPlaybackTime(time, duration) {
+    const format = (ms) => SubtitleFormatter.formatTime(ms, '.').substring(0, 8)
+    return `${format(time)} / ${format(duration)}`
+  }
+
+  /**
+   * 字幕ファイルの再生状態を操作部に反映する。
+   */
+  function updateSubtitleControls() {
+    const duration = subtitlePlayer.getDuration()
+    const time = Math.min(subtitlePlayer.getTime(), duration)
+    subtitlePlayButton.textContent = subtitlePlayer.isPlaying() ? '一時停止' : '再生'
+    subtitlePlayButton.disabled = (subtitlePlayer.cues.length < 1)
+    subtitleSeekInput.max = duration
+    if (isSeekingSubtitle) return
+    subtitleSeekInput.value = time
+    subtitleTimeLabel.textContent = formatPlaybackTime(time, duration)
+  }
+
+  // ========== ========== 台本 ========== ==========
+
+  /** @type {Array<string>} 台本を行ごとに分けた字幕（空行は除く） */
+  let scriptCues = []
+
+  /** @type {number} 次に表示する台本の行の位置 */
+  let scriptIndex = 0
+
+  /** @type {HTMLDivElement} 台本の設定（字幕ソースが台本の場合のみ表示） */
+  const scriptContainer = document.getElementById('config-script-container')
+
+  /** @type {HTMLTextAreaElement} 台本の入力欄 */
+  const scriptTextArea = document.getElementById('config-script-text')
+
+  /** @type {HTMLButtonElement} 台本の適用ボタン */
+  const scriptApplyButton = document.getElementById('config-script-apply')
+  scriptApplyButton.addEventListener('click', ev => {
+    if (setScriptText(scriptTextArea.value)) {
+      screenToConfig()
     }
-    return false
+  })
+
+  /** @type {HTMLInputElement} 台本ファイルの選択欄（非表示） */
+  const scriptFileInput = document.getElementById('config-script-file')
+  scriptFileInput.addEventListener('change', async (ev) => {
+    const file = scriptFileInput.files[0]
+    scriptFileInput.value = ''
+    if (file == null) return
+    try {
+      const text = await file.text()
+      log(`script file loaded : ${file.name}`)
+      if (setScriptText(text)) {
+        screenToConfig()
+      }
+    } catch(err) {
+      log(`error in loading script file. info=${err}`)
+      alert(`台本ファイルを読み込めませんでした（${err}）。`)
+    }
+  })
+
+  /** @type {HTMLButtonElement} 台本の読込ボタン */
+  const scriptImportButton = document.getElementById('config-script-import')
+  scriptImportButton.addEventListener('click', ev => {
+    scriptFileInput.click()
+  })
+
+  /** @type {HTMLDivElement} 台本の操作ボタン（画面上に小さく表示する） */
+  const scriptControl = document.getElementById('script-control')
+
+  /** @type {HTMLSpanElement} 次に表示する行の表示（観客に見えないよう、映像の上ではなく設定画面に表示する） */
+  const scriptPreview = document.getElementById('script-preview')
+
+  /** @type {HTMLSpanElement} 台本の進み具合（表示済みの行数／全行数）の表示 */
+  const scriptPosition = document.getElementById('script-position')
+
+  /** @type {HTMLButtonElement} １行戻るボタン */
+  const scriptBackButton = document.getElementById('script-back')
+  scriptBackButton.addEventListener('click', ev => {
+    moveScriptCue(-1)
+  })
+
+  /** @type {HTMLButtonElement} 次の行の表示ボタン */
+  const scriptNextButton = document.getElementById('script-next')
+  scriptNextButton.addEventListener('click', ev => {
+    showNextScriptCue()
+  })
+
+  /** @type {HTMLButtonElement} 次の行を飛ばすボタン */
+  const scriptSkipButton = document.getElementById('script-skip')
+  scriptSkipButton.addEventListener('click', ev => {
+    moveScriptCue(1)
+  })
+
+  /**
+   * 台本を設定し、行ごとに分けて先頭から表示できるようにする。
+   * @param {string} text 台本（１行を１つの字幕とする。空行は無視する）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setScriptText(text) {
+    if (typeof text !== 'string') return false
+    config.scriptText = text
+    scriptTextArea.value = text
+    scriptCues = text.split(/\r\n?|\n/).map(line => line.trim()).filter(line => line.length > 0)
+    scriptIndex = 0
+    updateScriptControls()
+    return true
   }
 
   /**
-   * 字幕を上に配置する場合のレイアウトを設定する。
+   * 台本の設定と操作部を表示する（ビューアーとオーバーレイでは操作部は表示しない）。
+   * @param {boolean} isShown 表示するならtrue
    */
-  function setLayoutCaptionTop() {
-    // 字幕を上に配置
-    captionContainer.style.top = '0'
-    captionContainer.style.bottom = ''
-    captionContainer.style.left = '0'
-    captionContainer.style.right = ''
-    captionContainer.style.width = '100%'
-    captionContainer.style.height = '30%'
-    // カメラは下寄せ
-    cameraContainer.style.flexDirection = 'column'
-    cameraContainer.style.justifyContent = 'flex-end'
+  function showScriptControls(isShown) {
+    scriptContainer.style.display = isShown ? '' : 'none'
+    scriptControl.style.display = (isShown && IS_VIEWER !== true && IS_OVERLAY !== true) ? 'block' : 'none'
   }
 
   /**
-   * 字幕を下に配置する場合のレイアウトを設定する。
+   * 台本の次の行を字幕として表示する（字幕の一覧や字幕ダウンロードにも残る）。
    */
-  function setLayoutCaptionBottom() {
-    // 字幕を下に配置
-    captionContainer.style.top = ''
-    captionContainer.style.bottom = '0'
-    captionContainer.style.left = '0'
-    captionContainer.style.right = ''
-    captionContainer.style.width = '100%'
-    captionContainer.style.height = '30%'
-    // カメラは上寄せ
-    cameraContainer.style.flexDirection = 'column'
-    cameraContainer.style.justifyContent = 'flex-start'
+  function showNextScriptCue() {
+    if (scriptIndex >= scriptCues.length) return
+    const text = scriptCues[scriptIndex]
+    scriptIndex++
+    if (speechLog.addManualEntry(text, Date.now(), 'script')) {
+      log(`script cue ${scriptIndex}/${scriptCues.length} : ${text}`)
+      updateCaptionSegments(speechLog.getCurrentSegments())
+      setClearCaptionTimer()
+    }
+    updateScriptControls()
   }
 
   /**
-   * 字幕を左に配置する場合のレイアウトを設定する。
+   * 次に表示する行を前後に移す（表示中の字幕は変えない）。
+   * @param {number} step 移す行数（負なら戻る）
    */
-   function setLayoutCaptionLeft() {
-    // 字幕を左に配置
-    captionContainer.style.top = '0'
-    captionContainer.style.bottom = ''
-    captionContainer.style.left = '0'
-    captionContainer.style.right = ''
-    captionContainer.style.width = '50%'
-    captionContainer.style.height = '100%'
-    // カメラは右寄せ
-    cameraContainer.style.flexDirection = 'row'
-    cameraContainer.style.justifyContent = 'flex-end'
+  function moveScriptCue(step) {
+    scriptIndex = Math.min(Math.max(scriptIndex + step, 0), scriptCues.length)
+    updateScriptControls()
   }
 
   /**
-   * 字幕を右に配置する場合のレイアウトを設定する。
+   * 台本の進み具合と次に表示する行を、設定画面と操作ボタンに反映する。
    */
-   function setLayoutCaptionRight() {
-    // 字幕を左に配置
-    captionContainer.style.top = '0'
-    captionContainer.style.bottom = ''
-    captionContainer.style.left = ''
-    captionContainer.style.right = '0'
-    captionContainer.style.width = '50%'
-    captionContainer.style.height = '100%'
-    // カメラは右寄せ
-    cameraContainer.style.flexDirection = 'row'
-    cameraContainer.style.justifyContent = 'flex-start'
+  function updateScriptControls() {
+    const isEnd = (scriptIndex >= scriptCues.length)
+    scriptPreview.textContent = (scriptCues.length < 1) ? '（台本がありません）'
+      : isEnd ? '（台本の終わり）'
+      : `次：${scriptCues[scriptIndex]}`
+    scriptPosition.textContent = `${scriptIndex} / ${scriptCues.length}`
+    scriptBackButton.disabled = (scriptIndex < 1)
+    scriptNextButton.disabled = isEnd
+    scriptSkipButton.disabled = isEnd
   }
 
-  // ========== ========== HTML要素 ========== ==========
+  // ========== ========== 字幕の一覧 ========== ==========
 
-  window.addEventListener('resize', ev => {
-    stretchCameraArea()
+  /** @type {HTMLDivElement} 字幕の一覧パネル */
+  const transcriptPanel = document.getElementById('transcript')
+
+  /** @type {HTMLOListElement} 字幕の一覧 */
+  const transcriptList = document.getElementById('transcript-list')
+
+  /** @type {HTMLInputElement} 字幕の一覧の検索欄 */
+  const transcriptSearchInput = document.getElementById('transcript-search')
+  transcriptSearchInput.addEventListener('input', ev => {
+    updateTranscriptPanel()
   })
 
-  /** @type {HTMLDivElement} body内全域を占めるdiv要素 */
-  const wholeArea = document.getElementById('content')
+  /** @type {HTMLSpanElement} 字幕の一覧の件数表示 */
+  const transcriptCount = document.getElementById('transcript-count')
 
-  wholeArea.addEventListener('click', ev => {
-    // 設定領域以外をクリックした場合、設定領域の表示／非表示を切り替える。
-    if (configArea.contains(ev.target) !== true) {
-      toggleConfig()
-    }
+  /** @type {HTMLButtonElement} 字幕の一覧を開くボタン */
+  const transcriptOpenButton = document.getElementById('config-transcript-open')
+  transcriptOpenButton.addEventListener('click', ev => {
+    showTranscriptPanel()
   })
 
-  /** @type {HTMLDivElement} 字幕表示領域のコンテナ（Flexboxで字幕の配置を調整する） */
-  const captionContainer = document.getElementById('caption-container')
+  /** @type {HTMLButtonElement} 字幕の一覧を閉じるボタン */
+  const transcriptCloseButton = document.getElementById('transcript-close')
+  transcriptCloseButton.addEventListener('click', ev => {
+    hideTranscriptPanel()
+  })
 
-  /** @type {HTMLDivElement} 字幕表示要素 */
-  const captionArea = document.getElementById('caption')
+  /** @type {boolean} 字幕の一覧で修正中ならtrue（修正中は一覧を作り直さない） */
+  let isEditingTranscript = false
 
-  /** @type {HTMLDivElement} 字幕入力部のコンテナ */
-  const captionInputContainer = document.getElementById('caption-input')
+  /**
+   * @type {Array<{entry:SpeechEntry, key:string}>} 字幕の一覧に表示中の項目と、その表示内容を表す文字列
+   * （認識途中の結果が届くたびに全項目を作り直さず、変わった項目以降だけを作り直すために使う）
+   */
+  let transcriptShownItems = []
 
-  /** @type {HTMLTextAreaElement} 字幕入力領域 */
-  const captionInputText = document.getElementById('caption-input-text')
-  captionInputText.addEventListener('click', (ev) => {
-    ev.stopImmediatePropagation()
-    ev.stopPropagation()
-  })
+  /** @type {string} 字幕の一覧の表示中の検索文字列（小文字） */
+  let transcriptShownQuery = ''
+
+  /** 字幕の一覧を表示する（設定領域は隠す） */
+  function showTranscriptPanel() {
+    hideConfig()
+    transcriptPanel.style.display = 'flex'
+    updateTranscriptPanel(true)
+    transcriptList.scrollTop = transcriptList.scrollHeight
+  }
+
+  /** 字幕の一覧を隠す */
+  function hideTranscriptPanel() {
+    transcriptPanel.style.display = 'none'
+    isEditingTranscript = false
+  }
 
   /**
-   * 字幕のフォントファミリを設定する。
-   * @param {string} font 
-   * @return {boolean} trueなら設定は有効
+   * 字幕の一覧が表示中か判定する。
+   * @returns {boolean} trueなら表示中
    */
-  function setFontFamily(font) {
-    if (typeof font !== 'string') return false
-    const fontFamilies = enumerateFontFamilyOptions()
-    if (fontFamilies.includes(config.fontFamily) !== true) {
-      log(`setFontFamily : parameter(${font}) is not in options.`)
-      return false
+  function isTranscriptPanelShown() {
+    return transcriptPanel.style.display === 'flex'
+  }
+
+  /**
+   * 字幕の一覧を更新する（非表示の場合や修正中は何もしない）。
+   * 検索欄に文字列があれば、それを含む項目のみ表示する（大文字・小文字は区別しない）。
+   * 長時間の講演でも重くならないよう、表示中の項目と内容が変わった所以降だけを作り直す。
+   * @param {boolean} isFull trueなら全項目を作り直す（一覧を開いた時や修正の終了時）
+   */
+  function updateTranscriptPanel(isFull = false) {
+    if (isTranscriptPanelShown() !== true || isEditingTranscript) return
+    const query = transcriptSearchInput.value.trim().toLowerCase()
+    if (isFull || query !== transcriptShownQuery) {
+      transcriptShownItems = []
+      transcriptShownQuery = query
+      transcriptList.replaceChildren()
     }
-    const fontConfig = font.endsWith('sans-serif') ? font : font + ",sans-serif"
-    config.fontFamily = font
-    captionContainer.style.fontFamily = fontConfig
-    captionInputText.style.fontFamily = fontConfig
-    if (fontFamilySelector.value !== font) {
-      fontFamilySelector.value = font
+    const isAtBottom = (transcriptList.scrollTop + transcriptList.clientHeight >= transcriptList.scrollHeight - 4)
+    const entries = speechLog.getAllEntries()
+    const items = []
+    entries.forEach(entry => {
+      const text = speechLog.textFilter(entry.transcript)
+      const translation = (entry.translation != null) ? speechLog.textFilter(entry.translation) : ''
+      const speaker = (entry.speaker != null) ? entry.speaker : ''
+      if (query.length > 0 && (speaker + '\n' + text + '\n' + translation).toLowerCase().includes(query) !== true) return
+      const color = (entry.speaker != null) ? getSpeakerColor(entry.speaker) : ''
+      const key = [entry.isFinal, speaker, color, text, translation, entry.originalTranscript ?? ''].join('\n')
+      items.push({ entry: entry, key: key, text: text, translation: translation })
+    })
+    let unchanged = 0
+    while (unchanged < items.length && unchanged < transcriptShownItems.length
+      && items[unchanged].entry === transcriptShownItems[unchanged].entry
+      && items[unchanged].key === transcriptShownItems[unchanged].key) {
+      unchanged++
+    }
+    while (transcriptList.children.length > unchanged) {
+      transcriptList.lastElementChild.remove()
+    }
+    const fragment = document.createDocumentFragment()
+    items.slice(unchanged).forEach(item => {
+      fragment.appendChild(makeTranscriptItem(item.entry, item.text, item.translation, query))
+    })
+    transcriptList.appendChild(fragment)
+    transcriptShownItems = items.map(item => ({ entry: item.entry, key: item.key }))
+    transcriptCount.textContent = (query.length > 0) ? `${items.length}/${entries.length}件` : `${entries.length}件`
+    if (isAtBottom && query.length < 1) {
+      transcriptList.scrollTop = transcriptList.scrollHeight
     }
-    return true
   }
 
   /**
-   * 字幕のフォントウエイトを設定する（normalかboldのみ）。
-   * @param {boolean} isBold 太字ならtrue
-   * @returns {boolean} trueなら設定は有効
+   * 字幕の一覧の１項目を作る。
+   * @param {SpeechEntry} entry 字幕項目
+   * @param {string} text 表示する文字列（置換処理を適用済み）
+   * @param {string} translation 翻訳結果（無ければ空文字列）
+   * @param {string} query 検索文字列（小文字。強調表示に使う）
+   * @returns {HTMLLIElement} 一覧の項目
    */
-  function setFontWeight(isBold) {
-    if (isBold !== true && isBold !== false) return false
-    config.isBold = isBold
-    const weight = isBold ? 'bold' : 'normal'
-    captionContainer.style.fontWeight = weight
-    captionInputText.style.fontWeight = weight
-    if (fontWeightInput.checked != isBold) {
-      fontWeightInput.checked = isBold
+  function makeTranscriptItem(entry, text, translation, query) {
+    const item = document.createElement('li')
+    if (entry.isFinal !== true) {
+      item.classList.add('interim')
+    } else if (entry.originalTranscript != null) {
+      item.classList.add('corrected')
+      item.title = `修正前：${speechLog.textFilter(entry.originalTranscript)}`
     }
-    return true
+    const time = document.createElement('span')
+    time.classList.add('transcript-time')
+    time.textContent = SubtitleFormatter.formatTime(entry.start, '.').substring(0, 8)
+    item.appendChild(time)
+    if (entry.speaker != null) {
+      const speaker = document.createElement('span')
+      speaker.classList.add('transcript-speaker')
+      speaker.style.color = getSpeakerColor(entry.speaker)
+      appendHighlightedText(speaker, `【${entry.speaker}】`, query)
+      item.appendChild(speaker)
+    }
+    const textSpan = document.createElement('span')
+    textSpan.classList.add('transcript-text')
+    appendHighlightedText(textSpan, text, query)
+    item.appendChild(textSpan)
+    if (translation.length > 0) {
+      const translationDiv = document.createElement('div')
+      translationDiv.classList.add('transcript-translation')
+      appendHighlightedText(translationDiv, translation, query)
+      item.appendChild(translationDiv)
+    }
+    if (entry.isFinal) {
+      // 確定済みの項目はクリックで修正できる
+      textSpan.addEventListener('click', ev => {
+        beginTranscriptEdit(entry, textSpan)
+      })
+    }
+    return item
   }
 
   /**
-   * 字幕のフォントサイズを設定する。
-   * @param {number} size フォントサイズ（viewport高さに対するパーセント値）
-   * @return {boolean} trueなら設定は有効
+   * 文字列を要素に追加する（検索文字列に一致する部分はmark要素で強調する）。
+   * @param {HTMLElement} element 追加先の要素
+   * @param {string} text 文字列
+   * @param {string} query 検索文字列（小文字。空文字列なら強調しない）
    */
-   function setCaptionFontSize(size) {
-    if (isNumber(size) !== true || size < FONT_SIZE_MIN || size > FONT_SIZE_MAX) return false
-    config.fontSize = size
-    const fontSize = `${size}vh`
-    captionArea.style.fontSize = fontSize
-    captionInputText.style.fontSize = fontSize 
-    if (fontSizeInput.value !== size.toString()) {
-      fontSizeInput.value = size.toString()
+  function appendHighlightedText(element, text, query) {
+    if (query.length < 1) {
+      element.textContent = text
+      return
     }
-    return true
+    const lower = text.toLowerCase()
+    let position = 0
+    let found
+    while ((found = lower.indexOf(query, position)) >= 0) {
+      element.appendChild(document.createTextNode(text.substring(position, found)))
+      const mark = document.createElement('mark')
+      mark.textContent = text.substring(found, found + query.length)
+      element.appendChild(mark)
+      position = found + query.length
+    }
+    element.appendChild(document.createTextNode(text.substring(position)))
   }
 
   /**
-   * 字幕の行高さを設定する。
-   * @param {number} height 行高さ（文字の高さに対するパーセント値）
-   * @return {boolean} trueなら設定は有効
+   * 字幕の一覧の項目を修正欄に切り替える（Enterで確定、Escで取消）。
+   * 修正欄には置換辞書を適用する前の文字列を表示する。
+   * @param {SpeechEntry} entry 修正する字幕項目
+   * @param {HTMLSpanElement} textSpan 項目の文字列部分
    */
-   function setCaptionLineHeight(height) {
-    if (isNumber(height) !== true || height < LINE_HEIGHT_MIN || height > LINE_HEIGHT_MAX) return false
-    config.lineHeight = height
-    const lineHeight = `${height}%`
-    captionArea.style.lineHeight = lineHeight
-    captionInputText.style.lineHeight = lineHeight
-    if (lineHeightInput.value !== height.toString()) {
-      lineHeightInput.value = height.toString()
+  function beginTranscriptEdit(entry, textSpan) {
+    if (isEditingTranscript) return
+    isEditingTranscript = true
+    const input = document.createElement('input')
+    input.type = 'text'
+    input.classList.add('transcript-edit')
+    input.value = entry.transcript
+    let isFinished = false
+    const finish = (isCommitted) => {
+      if (isFinished) return
+      isFinished = true
+      isEditingTranscript = false
+      if (isCommitted && input.value.trim() !== entry.transcript) {
+        correctTranscriptEntry(entry, input.value)
+      }
+      // 修正欄を項目に戻すため、全項目を作り直す
+      updateTranscriptPanel(true)
     }
-    return true
+    input.addEventListener('keydown', ev => {
+      if (ev.isComposing) return
+      if (ev.key === 'Enter') {
+        ev.preventDefault()
+        finish(true)
+      } else if (ev.key === 'Escape') {
+        ev.preventDefault()
+        finish(false)
+      }
+    })
+    input.addEventListener('blur', ev => {
+      finish(true)
+    })
+    textSpan.replaceWith(input)
+    input.focus()
   }
 
   /**
-   * 字幕を自動で消去するまでの秒数を設定する。
-   * @param {string} time 秒数
-   * @return {boolean} trueなら設定は有効
+   * 字幕項目を修正し、表示中の字幕、翻訳、履歴に反映する。
+   * @param {SpeechEntry} entry 修正する字幕項目
+   * @param {string} text 修正後の文字列
    */
-  function setCaptionAutoClearTime(time) {
-    if (typeof time !== 'string') return false
-    const timeInt = parseInt(time)
-    const clearTimes = enumerateClearTimeOptions()
-    if (clearTimes.includes(time) !== true) {
-      log(`setCaptionAutoClearTime : parameter(${time}) is not in options.`)
-      return false
-    }
-    log(`setCaptionAutoClearTime : ${time}[sec]`)
-    config.clearTime = timeInt
-    setClearCaptionTimer()
-    if (clearTimeSelector.value !== time) {
-      clearTimeSelector.value = time
+  function correctTranscriptEntry(entry, text) {
+    if (speechLog.correctEntry(entry, text) !== true) return
+    // 翻訳は修正後の文字列でやり直す
+    delete entry.translation
+    updateEntryInHistory(entry)
+    translateEntry(entry)
+    if (speechLog.currentResults.includes(entry)) {
+      updateCaptionSegments(speechLog.getCurrentSegments())
     }
-    return true
   }
 
-  /** @type {HTMLDivElement} カメラ表示領域のコンテナ（Flexboxでカメラの配置を調整する） */
-  const cameraContainer = document.getElementById('camera-container')
-
-  /** @type {HTMLVideoElement} カメラ表示領域 */
-  const cameraArea = document.getElementById('camera')
+  // ========== ========== 話者 ========== ==========
 
-  cameraArea.addEventListener('play', ev => {
-    stretchCameraArea()
-    doPostCameraSetup()
+  /** @type {HTMLInputElement} 話者名の入力欄（カンマ区切り） */
+  const speakersInput = document.getElementById('config-speakers')
+  speakersInput.addEventListener('change', ev => {
+    const names = speakersInput.value.split(/[,、，]/).map(name => name.trim())
+    if (setSpeakers(names)) {
+      screenToConfig()
+    }
   })
 
+  /** @type {HTMLDivElement} 話者の切替ボタンを並べる領域 */
+  const speakerBar = document.getElementById('speaker-bar')
+
   /**
-   * カメラ表示領域のサイズを次の条件を満たす形で設定する。
-   * (1) カメラ映像のアスペクト比を維持する。
-   * (2) コンテナからはみ出さない。
-   * (3) 少なくとも縦辺または横辺のいずれかはコンテナに接する。
+   * 話者名の一覧を設定する（空の名前と重複は除く）。
+   * 現在の話者が一覧から無くなった場合は話者なしにする。
+   * @param {Array<string>} names 話者名の配列（並び順で色と番号のキーが決まる）
+   * @return {boolean} trueなら設定は有効
    */
-  function stretchCameraArea() {
-    log(`stretchCameraArea video:(${cameraArea.videoWidth},${cameraArea.videoHeight})`)
-    // カメラが利用できない場合は何もしない。
-    if (cameraArea.videoWidth < 1 || cameraArea.videoHeight < 1) return
-    const cameraAspectRatio = cameraArea.videoWidth / cameraArea.videoHeight
-
-    const containerRect = cameraContainer.getBoundingClientRect()
-    if (containerRect.height < 1) return
-    const containerAspectRatio = containerRect.width / containerRect.height
-
-    if (containerAspectRatio > cameraAspectRatio) {
-      // カメラ映像がコンテナよりも縦長な場合：カメラ映像の高さをコンテナの高さにあわせる
-      cameraArea.style.width = ''
-      cameraArea.style.height = '100%'
-    } else {
-      // カメラ映像がコンテナよりも横長な場合：カメラ映像の幅をコンテナの幅にあわせる
-      cameraArea.style.width = '100%'
-      cameraArea.style.height = ''
+  function setSpeakers(names) {
+    if (Array.isArray(names) !== true) return false
+    const speakers = [...new Set(names.filter(name => typeof name === 'string' && name.trim().length > 0).map(name => name.trim()))]
+    config.speakers = speakers
+    speakersInput.value = speakers.join(', ')
+    if (speechLog.speaker.length > 0 && speakers.includes(speechLog.speaker) !== true) {
+      setActiveSpeaker('')
     }
+    updateSpeakerBar()
+    refreshCaption()
+    return true
   }
 
-  /** @type {HTMLDivElement} 設定領域 */
-  const configArea = document.getElementById('config')
-
-  /** 設定領域を表示する */
-  function showConfig() {
-    configArea.style.display = 'flex'
+  /**
+   * 現在の話者を切り替える（以後に確定する字幕に話者名がつく）。
+   * @param {string} name 話者名（空文字列なら話者なし）
+   */
+  function setActiveSpeaker(name) {
+    if (speechLog.speaker === name) return
+    speechLog.speaker = name
+    log(`speaker : ${name}`)
+    updateActiveSpeakerButton()
   }
 
-  /** 設定領域を隠す */
-  function hideConfig() {
-    configArea.style.display = 'none'
+  /**
+   * 現在の話者を、一覧の次の話者に切り替える（最後の次は話者なし）。
+   */
+  function switchToNextSpeaker() {
+    if (config.speakers.length < 1) return
+    setActiveSpeaker(nextValueOf(['', ...config.speakers], speechLog.speaker))
   }
 
-  /** 設定領域の表示／非表示を切り替える */
-  function toggleConfig() {
-    if (configArea.style.display !== 'none') {
-      hideConfig()
-    } else {
-      showConfig()
-    }
+  /**
+   * 話者の表示色を取得する（一覧の並び順で決まる）。
+   * @param {string} name 話者名
+   * @returns {string} 色（一覧に無い話者は空文字列＝字幕の文字色）
+   */
+  function getSpeakerColor(name) {
+    const index = config.speakers.indexOf(name)
+    return (index >= 0) ? SPEAKER_COLORS[index % SPEAKER_COLORS.length] : ''
   }
 
-  // 字幕ソース選択ラジオボタンへのイベント設定
-  document.getElementsByName('source').forEach(el => {
-    el.addEventListener('change', ev => {
-      if (ev.target.value !== config.source) {
-        setSource(ev.target.value)
-        config.source = ev.target.value
-        screenToConfig()
-      }
+  /**
+   * 話者の切替ボタンを作り直す（話者が登録されていなければ表示しない）。
+   */
+  function updateSpeakerBar() {
+    const fragment = document.createDocumentFragment()
+    const names = (config.speakers.length > 0) ? ['', ...config.speakers] : []
+    names.forEach(name => {
+      const button = document.createElement('button')
+      button.textContent = (name.length > 0) ? name : '話者なし'
+      button.style.color = getSpeakerColor(name)
+      button.dataset.speaker = name
+      button.addEventListener('click', ev => {
+        setActiveSpeaker(name)
+      })
+      fragment.appendChild(button)
     })
-  })
+    speakerBar.replaceChildren(fragment)
+    speakerBar.style.display = (names.length > 0 && IS_VIEWER !== true && IS_OVERLAY !== true) ? 'block' : 'none'
+    updateActiveSpeakerButton()
+  }
 
   /**
-   * 字幕ソース選択ラジオボタンの値の選択
-   * @param {'auto' | 'mute' | 'input'} source 字幕ソース文字列 
+   * 話者の切替ボタンのうち、現在の話者のボタンを選択状態にする。
    */
-  function setSourceRadioButton(source) {
-    document.getElementsByName('source').forEach(el => {
-      if (el.value === source) {
-        el.checked = true
-      }
+  function updateActiveSpeakerButton() {
+    for (let button of speakerBar.children) {
+      button.classList.toggle('active', button.dataset.speaker === speechLog.speaker)
+    }
+  }
+
+  /**
+   * 話者が変わったところ（と先頭）の字幕の断片に、話者名の見出しをつける。
+   * 見出しをつけた断片はコピーし、見出しの文字数をlabelLengthに記録する。
+   * @param {Array<CaptionSegment>} segments 字幕の断片
+   * @returns {Array<CaptionSegment & {labelLength?:number}>} 見出しつきの字幕の断片
+   */
+  function withSpeakerLabels(segments) {
+    let lastSpeaker = ''
+    return segments.map(segment => {
+      const speaker = (segment.speaker != null) ? segment.speaker : ''
+      const isChanged = (speaker !== lastSpeaker)
+      lastSpeaker = speaker
+      if (isChanged !== true || speaker.length < 1) return segment
+      const label = `【${speaker}】`
+      return { ...segment, text: label + segment.text, labelLength: label.length }
     })
   }
 
-  /** @type {HTMLSelectElement} 設定のカメラ一覧 */
-  const cameraList = document.getElementById('config-camera-list')
+  // ========== ========== 字幕の行表示（ロールアップ、ポップオン） ========== ==========
 
-  cameraList.addEventListener('change', ev => {
-    setupCamera()
+  /** @type {number} ロールアップで行を送るアニメーションの時間（ミリ秒。style.cssと合わせる） */
+  const ROLL_UP_DURATION = 300
+
+  /** @type {CanvasRenderingContext2D | null} 字幕の文字幅の計測用（計測できない環境ではnull） */
+  const captionMeasureContext = document.createElement('canvas').getContext('2d')
+
+  /** @type {string} 行表示で表示中の字幕（録画用。行と翻訳結果は改行で区切る） */
+  let visibleCaptionText = ''
+
+  /** @type {number} ロールアップで表示領域の上に送った行数（増えたら行送りのアニメーションをする） */
+  let rolledLineCount = 0
+
+  /** @type {number} ロールアップの行送りのアニメーションの開始時刻（Date.now()の値） */
+  let rollStartTime = 0
+
+  /** @type {number} ロールアップの行送りのアニメーションで送る行数 */
+  let rollLines = 0
+
+  /** @type {HTMLSelectElement} 字幕の表示方式のセレクタ */
+  const displayModeSelector = document.getElementById('config-display-mode')
+  displayModeSelector.addEventListener('change', (ev) => {
+    if (setDisplayMode(displayModeSelector.value)) {
+      screenToConfig()
+    }
   })
 
-  /** @type {HTMLSelectElement} フォント名一覧 */
-  const fontFamilySelector = document.getElementById('config-font-family-list')
-  fontFamilySelector.addEventListener('change', ev => {
-    onFontFamilySelectionChanged()
+  /** @type {HTMLSelectElement} 行表示の行数のセレクタ */
+  const captionLinesSelector = document.getElementById('config-caption-lines')
+  captionLinesSelector.addEventListener('change', (ev) => {
+    if (setCaptionLines(Number(captionLinesSelector.value))) {
+      screenToConfig()
+    }
   })
 
   /**
-   * フォントファミリの選択肢のvalueを列挙する。
-   * @return {Array<string>} フォントファミリ選択肢のvalueの配列
+   * 字幕の表示方式を設定する。
+   * @param {'free' | 'rollup' | 'popon'} mode 表示方式（自由表示、ロールアップ、ポップオン）
+   * @return {boolean} trueなら設定は有効
    */
-  function enumerateFontFamilyOptions() {
-    /** @type {Array<string>} */
-    let res = []
-    for (let opt of fontFamilySelector.options) {
-      res.push(opt.value)
+  function setDisplayMode(mode) {
+    if (['free', 'rollup', 'popon'].includes(mode) !== true) return false
+    config.displayMode = mode
+    displayModeSelector.value = mode
+    captionLinesSelector.disabled = (mode === 'free')
+    rolledLineCount = 0
+    refreshCaption()
+    return true
+  }
+
+  /**
+   * 行表示（ロールアップ、ポップオン）の行数を設定する。
+   * @param {number} lines 行数
+   * @return {boolean} trueなら設定は有効
+   */
+  function setCaptionLines(lines) {
+    if (isNumber(lines) !== true || lines < 1 || lines > CAPTION_LINES_MAX) return false
+    lines = Math.floor(lines)
+    config.captionLines = lines
+    ensureNumberOption(captionLinesSelector, lines)
+    captionLinesSelector.value = lines.toString()
+    refreshCaption()
+    return true
+  }
+
+  /**
+   * 行表示（ロールアップ、ポップオン）か判定する。
+   * @returns {boolean} trueなら行表示
+   */
+  function isLineDisplayMode() {
+    return config.displayMode === 'rollup' || config.displayMode === 'popon'
+  }
+
+  /**
+   * 字幕の断片を、字幕表示領域の実際の幅に収まる行に分割する（禁則処理つき）。
+   * @param {Array<CaptionSegment>} segments 字幕の断片
+   * @returns {Array<Array<{segment:CaptionSegment, start:number, text:string}>>} 行の配列（各行は断片ごとの部分文字列と、その断片中の開始位置の配列）
+   */
+  function layoutCaptionLines(segments) {
+    const text = segments.map(s => s.text).join('')
+    const style = getComputedStyle(captionArea)
+    // 行ごとの背景の余白や計測の誤差の分だけ幅に余裕を持たせる
+    let width = captionArea.clientWidth - (parseFloat(style.fontSize) || 0) * 0.5
+    let measure = (t) => 0 // 計測できない場合は改行文字でのみ改行する
+    if (captionMeasureContext == null || width <= 0) {
+      width = Infinity
+    } else {
+      captionMeasureContext.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`
+      if ('letterSpacing' in captionMeasureContext) {
+        captionMeasureContext.letterSpacing = style.letterSpacing
+      }
+      measure = (t) => captionMeasureContext.measureText(t).width
     }
-    return res
+    return CaptionLineBreaker.breakLines(text, width, measure).map(range => {
+      const pieces = []
+      let offset = 0
+      segments.forEach(segment => {
+        const start = Math.max(range.start, offset)
+        const end = Math.min(range.end, offset + segment.text.length)
+        if (start < end) {
+          pieces.push({ segment: segment, start: start - offset, text: segment.text.substring(start - offset, end - offset) })
+        }
+        offset += segment.text.length
+      })
+      return pieces
+    })
   }
 
-  function onFontFamilySelectionChanged() {
-    if (setFontFamily(fontFamilySelector.value)) {
-      screenToConfig()
+  /**
+   * 字幕の断片を文ごとの断片に分ける（。！？.!?の後ろに続く閉じ括弧や空白までを１文とする）。
+   * 音声認識の確定結果は文の途中で終わったり、複数の文を含んだりするため、ポップオンの画面の区切りに使う。
+   * @param {CaptionSegment} segment 字幕の断片
+   * @returns {Array<CaptionSegment>} 文ごとの断片（話者名の表示は最初の文の断片にだけ残す）
+   */
+  function splitCaptionSentences(segment) {
+    const labelLength = (segment.labelLength != null) ? segment.labelLength : 0
+    const sentences = []
+    const pattern = /(?:[。！？!?]|\.(?!\d))+[」』）)"]*\s*/g
+    pattern.lastIndex = labelLength
+    let start = 0
+    let match
+    while ((match = pattern.exec(segment.text)) != null) {
+      const end = match.index + match[0].length
+      if (end >= segment.text.length) break
+      sentences.push({ ...segment, text: segment.text.substring(start, end), labelLength: (start === 0) ? labelLength : 0 })
+      start = end
     }
+    sentences.push({ ...segment, text: segment.text.substring(start), labelLength: (start === 0) ? labelLength : 0 })
+    return sentences
   }
 
-  /** @type {HTMLInputElement} 設定の太字設定 */
-  const fontWeightInput = document.getElementById('config-font-bold')
-  fontWeightInput.addEventListener('change', ev => {
-    onFontWeightInputChanged()
-  })
+  /**
+   * ポップオンで表示する行を選ぶ。
+   * 確定した文を行数に収まるだけまとめて１画面とし、収まらない文が来たら、その文から次の画面にする。
+   * １つの文が行数を超える場合は、行数ごとに区切った最後の部分を表示する。
+   * @param {Array<CaptionSegment>} segments 字幕の断片（未確定の断片は表示しない）
+   * @returns {Array<Array<{segment:CaptionSegment, start:number, text:string}>>} 表示する行の配列
+   */
+  function selectPopOnLines(segments) {
+    let page = []
+    let lines = []
+    segments.filter(s => s.isFinal).flatMap(splitCaptionSentences).forEach(segment => {
+      const candidate = [...page, segment]
+      const candidateLines = layoutCaptionLines(candidate)
+      if (candidateLines.length > config.captionLines && page.length > 0) {
+        page = [segment]
+        lines = layoutCaptionLines(page)
+      } else {
+        page = candidate
+        lines = candidateLines
+      }
+    })
+    const start = Math.floor(Math.max(lines.length - 1, 0) / config.captionLines) * config.captionLines
+    return lines.slice(start)
+  }
 
-  function onFontWeightInputChanged() {
-    if (setFontWeight(fontWeightInput.checked)) {
-      screenToConfig()
+  /**
+   * 字幕を行表示（ロールアップ、ポップオン）で描画する。
+   * 行は指定の行数分の高さの領域に下寄せで表示し、ロールアップで行が増えた場合は上に送るアニメーションをする。
+   * @param {Array<CaptionSegment>} segments 字幕の断片
+   */
+  function renderCaptionLines(segments) {
+    const style = getComputedStyle(captionArea)
+    const fontSize = parseFloat(style.fontSize) || 0
+    const lineHeight = isNaN(parseFloat(style.lineHeight)) ? fontSize * 1.3 : parseFloat(style.lineHeight)
+    const maxLines = config.captionLines
+    let lines
+    let extraLines = 0 // アニメーション中に表示領域の上へ送り出している行
+    if (config.displayMode === 'rollup') {
+      const allLines = layoutCaptionLines(segments)
+      const rolled = Math.max(allLines.length - maxLines, 0)
+      if (rolled > rolledLineCount) {
+        rollStartTime = Date.now()
+        rollLines = rolled - rolledLineCount
+      }
+      rolledLineCount = rolled
+      if (Date.now() - rollStartTime < ROLL_UP_DURATION) {
+        extraLines = Math.min(rollLines, rolled)
+      }
+      lines = allLines.slice(rolled - extraLines)
+    } else {
+      lines = selectPopOnLines(segments)
+    }
+
+    const viewport = document.createElement('div')
+    viewport.classList.add('caption-lines-viewport')
+    viewport.style.height = `${lineHeight * maxLines}px`
+    const linesArea = document.createElement('div')
+    linesArea.classList.add('caption-lines')
+    lines.forEach(pieces => {
+      const lineDiv = document.createElement('div')
+      lineDiv.classList.add('caption-line')
+      pieces.forEach(piece => {
+        appendCaptionPiece(lineDiv, piece.segment, piece.start, piece.start + piece.text.length)
+      })
+      linesArea.appendChild(lineDiv)
+    })
+    if (extraLines > 0) {
+      // 描画し直してもアニメーションが途中から続くよう、経過時間分だけ開始を早める
+      linesArea.classList.add('caption-roll-up')
+      linesArea.style.setProperty('--caption-roll-distance', `${lineHeight * extraLines}px`)
+      linesArea.style.animationDelay = `-${Date.now() - rollStartTime}ms`
+    }
+    viewport.appendChild(linesArea)
+
+    const fragment = document.createDocumentFragment()
+    fragment.appendChild(viewport)
+    const visibleLines = lines.slice(extraLines)
+    const visibleSegments = [...new Set(visibleLines.flat().map(piece => piece.segment))]
+    appendCaptionTranslation(fragment, visibleSegments)
+    captionArea.replaceChildren(fragment)
+
+    visibleCaptionText = visibleLines.map(pieces => pieces.map(piece => piece.text).join('')).join('\n')
+    const translation = getTranslationText(visibleSegments)
+    if (translation.length > 0) {
+      visibleCaptionText += '\n' + translation
     }
   }
 
-  /** @type {HTMLInputElement} 設定のフォントサイズ設定欄 */
-  const fontSizeInput = document.getElementById('config-font-size')
+  // ========== ========== 字幕表示 ========== ==========
 
-  fontSizeInput.addEventListener('change', ev => {
-    onFontSizeInputChanged()
-  })
+  /** @type {Array<CaptionSegment>} 表示中の字幕（再表示や再送要求への応答に使う） */
+  let displayedSegments = []
 
-  function onFontSizeInputChanged() {
-    if (setCaptionFontSize(Number(fontSizeInput.value))) {
-      screenToConfig()
-    }
+  /**
+   * 字幕を更新する。
+   * @param {string} caption 現在の字幕
+   */
+  function updateCaption(caption) {
+    captionArea.textContent = caption
+    visibleCaptionText = caption
+    rolledLineCount = 0
+    displayedSegments = (caption.length > 0) ? [{ text: caption, isFinal: true, confidence: 0 }] : []
+    broadcastCaption(displayedSegments)
   }
 
-  /** @type {HTMLButtonElement} 設定のフォントサイズ縮小ボタン */
-  const fontSizeDecrement = document.getElementById('config-font-size-decrement')
+  /**
+   * 表示用の断片の配列で字幕を更新する（信頼度の低い確定結果は目立たない表示にする）。
+   * @param {Array<CaptionSegment>} segments 現在の字幕の断片
+   */
+  function updateCaptionSegments(segments) {
+    displayedSegments = segments
+    renderCaption()
+    broadcastCaption(segments)
+    updateTranscriptPanel()
+  }
 
-  fontSizeDecrement.addEventListener('click', ev => {
-    const fontSize = Number(fontSizeInput.value)
-    const newSize = Math.max(Math.round((fontSize-0.1)*10)/10 , FONT_SIZE_MIN)
-    if (fontSize !== newSize) {
-      fontSizeInput.value = newSize.toString()
-      onFontSizeInputChanged()
+  /**
+   * 表示中の字幕を、現在の表示方式で描画し直す。
+   */
+  function renderCaption() {
+    const segments = withSpeakerLabels(displayedSegments)
+    if (isLineDisplayMode()) {
+      renderCaptionLines(segments)
+      return
     }
-  })
-
-  /** @type {HTMLButtonElement} 設定のフォントサイズ拡大ボタン */
-  const fontSizeIncrement = document.getElementById('config-font-size-increment')
+    const fragment = document.createDocumentFragment()
+    segments.forEach(segment => {
+      appendCaptionPiece(fragment, segment, 0, segment.text.length)
+    })
+    appendCaptionTranslation(fragment, segments)
+    captionArea.replaceChildren(fragment)
+  }
 
-  fontSizeIncrement.addEventListener('click', ev => {
-    const fontSize = Number(fontSizeInput.value)
-    const newSize = Math.min(Math.round((fontSize+0.1)*10)/10 , FONT_SIZE_MAX)
-    if (fontSize !== newSize) {
-      fontSizeInput.value = newSize.toString()
-      onFontSizeInputChanged()
+  /**
+   * 表示中の字幕があれば描画し直す（表示設定や画面の大きさが変わった場合）。
+   * 起動中や受信待ちの案内の表示は消さない。
+   */
+  function refreshCaption() {
+    if (displayedSegments.length > 0) {
+      renderCaption()
     }
-  })
-
-  /** @type {HTMLInputElement} 設定の行高さ設定欄 */
-  const lineHeightInput = document.getElementById('config-line-height')
-
-  lineHeightInput.addEventListener('change', ev => {
-    onLineHeightInputChanged()
-  })
+  }
 
-  function onLineHeightInputChanged() {
-    if (setCaptionLineHeight(Number(lineHeightInput.value))) {
-      screenToConfig()
+  /**
+   * 字幕の断片の表示要素を作る。
+   * @param {CaptionSegment} segment 字幕の断片
+   * @param {string} text 表示する文字列（断片の一部の場合もある）
+   * @returns {HTMLSpanElement} 表示要素
+   */
+  function makeCaptionSpan(segment, text) {
+    const span = document.createElement('span')
+    span.textContent = text
+    if (segment.isFinal !== true) {
+      span.classList.add('interim')
+    } else if (isLowConfidence(segment.confidence)) {
+      span.classList.add('low-confidence')
     }
+    return span
   }
 
-  /** @type {HTMLButtonElement} 設定の行高さ縮小ボタン */
-  const lineHeightDecrement = document.getElementById('config-line-height-decrement')
-
-  lineHeightDecrement.addEventListener('click', ev => {
-    const lineHeight = Number(lineHeightInput.value)
-    const newHeight = Math.max(Math.ceil(lineHeight/5)*5-5 , LINE_HEIGHT_MIN)
-    if (lineHeight !== newHeight) {
-      lineHeightInput.value = newHeight.toString()
-      onLineHeightInputChanged()
+  /**
+   * 字幕の断片の一部（startからendの手前まで）の表示要素を追加する。
+   * 話者名の見出しの部分は話者の色で表示する。
+   * @param {Node} parent 追加先
+   * @param {CaptionSegment & {labelLength?:number}} segment 字幕の断片（withSpeakerLabelsで見出しをつけたもの）
+   * @param {number} start 開始位置
+   * @param {number} end 終了位置（この位置の文字は含まない）
+   */
+  function appendCaptionPiece(parent, segment, start, end) {
+    const labelLength = (segment.labelLength != null) ? segment.labelLength : 0
+    if (start < labelLength) {
+      const label = document.createElement('span')
+      label.classList.add('caption-speaker')
+      label.style.color = getSpeakerColor(segment.speaker)
+      label.textContent = segment.text.substring(start, Math.min(end, labelLength))
+      parent.appendChild(label)
     }
-  })
-
-  /** @type {HTMLButtonElement} 設定の行高さ拡大ボタン */
-  const lineHeightIncrement = document.getElementById('config-line-height-increment')
-
-  lineHeightIncrement.addEventListener('click', ev => {
-    const lineHeight = Number(lineHeightInput.value)
-    const newHeight = Math.min(Math.floor(lineHeight/5)*5+5 , LINE_HEIGHT_MAX)
-    if (lineHeight !== newHeight) {
-      lineHeightInput.value = newHeight.toString()
-      onLineHeightInputChanged()
+    if (end > labelLength) {
+      parent.appendChild(makeCaptionSpan(segment, segment.text.substring(Math.max(start, labelLength), end)))
     }
-  })
-
-  // 字幕表示位置選択ラジオボタンへのイベント設定
-  document.getElementsByName('position').forEach(el => {
-    el.addEventListener('change', ev => {
-      if (ev.target.value !== config.position) {
-        setLayout(ev.target.value)
-        config.position = ev.target.value
-        screenToConfig()
-      }
-    })
-  })
+  }
 
   /**
-   * 字幕表示位置選択ラジオボタンの値の選択
-   * @param {'bottom' | 'top' | 'left' | 'right'} position 
+   * 翻訳結果を原文の下の行にまとめて追加する（翻訳結果が無ければ何もしない）。
+   * @param {DocumentFragment} fragment 追加先
+   * @param {Array<CaptionSegment>} segments 字幕の断片
    */
-  function setPositionRadioButton(position) {
-    document.getElementsByName('position').forEach(el => {
-      if (el.value === position) {
-        el.checked = true
-      }
-    })
+  function appendCaptionTranslation(fragment, segments) {
+    const translation = getTranslationText(segments)
+    if (translation.length < 1) return
+    const div = document.createElement('div')
+    div.classList.add('caption-translation')
+    const span = document.createElement('span')
+    span.textContent = translation
+    div.appendChild(span)
+    fragment.appendChild(div)
   }
 
-  /** @type {HTMLSelectElement} 字幕自動消去秒数のセレクタ */
-  const clearTimeSelector = document.getElementById('config-auto-clear-list')
-  clearTimeSelector.addEventListener('change', (ev) => {
-    onClearTimeSelectionChanged()
-  })
+  /**
+   * 信頼度が低いか判定する。ブラウザによっては信頼度が常に0なので、0は「不明」として扱う。
+   * @param {number} confidence 信頼度
+   * @returns {boolean} trueなら信頼度が低い
+   */
+  function isLowConfidence(confidence) {
+    return confidence > 0 && confidence < config.confidenceThreshold
+  }
 
   /**
-   * 字幕自動消去秒数の選択肢のvalueを列挙する。
-   * @return {Array<string>} 字幕自動消去秒数の選択肢のvalueの配列
+   * 字幕の断片の翻訳結果を連結する。
+   * @param {Array<CaptionSegment>} segments 字幕の断片
+   * @returns {string} 翻訳結果（翻訳結果が無ければ空文字列）
    */
-  function enumerateClearTimeOptions() {
-    /** @type {Array<string>} */
-    let res = []
-    for (let opt of clearTimeSelector.options) {
-      log(`cleartime candidate : ${opt.value}[sec]`)
-      res.push(opt.value)
-    }
-    return res
+  function getTranslationText(segments) {
+    return segments.filter(s => s.translation != null && s.translation.length > 0)
+      .map(s => s.translation).join(' ')
   }
 
   /**
-   * 字幕自動消去秒数を変えた時の処理
+   * 画面に表示中の字幕文字列を取得する。
+   * @returns {string} 表示中の字幕（字幕領域非表示の場合は空文字列）
    */
-  function onClearTimeSelectionChanged() {
-    if (setCaptionAutoClearTime(clearTimeSelector.value)) {
-      screenToConfig()
+  function getVisibleCaptionText() {
+    if (config.source === 'mute') return ''
+    let text = visibleCaptionText
+    if (isLineDisplayMode() !== true) {
+      text = withSpeakerLabels(displayedSegments).map(s => s.text).join('')
+      const translation = getTranslationText(displayedSegments)
+      if (translation.length > 0) {
+        text += '\n' + translation
+      }
+    }
+    if (config.source === 'input' && captionInputText.value.length > 0) {
+      return text + '\n' + captionInputText.value
     }
+    return text
   }
 
-  /** @type {HTMLButtonElement} 字幕ダウンロードボタン */
-  const downloadCaptionButton = document.getElementById('config-download-captions')
-  downloadCaptionButton.addEventListener('click', ev => {
-    const timestamp = new Date()
-    const timestampText = timestamp.toISOString()
-      .replaceAll('T','_').replaceAll('Z','')
-      .replaceAll(':','').replaceAll('-','')
-      .substring(0,15)
-    const log = speechLog.getWholeLog()
-    const blob = new Blob(log, {type: 'text/plain'})
-    const link = document.createElement('a')
-    link.download = `captioncam_${timestampText}.txt`
-    link.href = URL.createObjectURL(blob)
-    link.click()
-    URL.revokeObjectURL(link.href)
-  })
-
-  /** @type {HTMLButtonElement} 動作ログのダウンロードボタン */
-  const downloadOpLogButton = document.getElementById('config-download-oplog')
-  downloadOpLogButton.addEventListener('click', ev => {
-    const timestamp = new Date()
-    const timestampText = timestamp.toISOString()
-      .replaceAll('T','_').replaceAll('Z','')
-      .replaceAll(':','').replaceAll('-','')
-      .substring(0,15)
-    const blob = new Blob(logMessages, {type: 'text/plain'})
-    const link = document.createElement('a')
-    link.download = `captioncam_op_${timestampText}.txt`
-    link.href = URL.createObjectURL(blob)
-    link.click()
-    URL.revokeObjectURL(link.href)
+  // ========== ========== 録画関連 ========== ==========
+
+  /** @type {string} 録画開始時のタイムスタンプ文字列（録画ファイル名に使う） */
+  let recordingTimestampText = ''
+
+  const recorderOptions = new CaptionRecorderOptions()
+  recorderOptions.wholeArea = wholeArea
+  recorderOptions.video = cameraArea
+  recorderOptions.captionContainer = captionContainer
+  recorderOptions.captionArea = captionArea
+  recorderOptions.getCaption = () => getVisibleCaptionText()
+  recorderOptions.getTextEffect = () => ({
+    outlineWidth: config.outlineWidth,
+    outlineColor: config.outlineColor,
+    textShadow: config.textShadow,
+    lineBackgroundColor: getLineBackgroundColor()
   })
+  recorderOptions.image = backgroundImage
+  recorderOptions.isVideoMirrored = () => (activeVideoSource === 'camera') && getCameraSettings().mirror
+  recorderOptions.getBackgroundColor = () => (activeVideoSource === 'color') ? config.videoColor : ''
+  recorderOptions.onLog = (message) => { log(message) }
+  recorderOptions.onStopped = (blob) => {
+    downloadBlob(blob, `captioncam_${recordingTimestampText}.webm`)
+  }
+  const captionRecorder = new CaptionRecorder(recorderOptions)
 
-  // ========== ========== 字幕表示 ========== ==========
+  /**
+   * 録画の開始／停止を切り替える。
+   */
+  async function toggleRecording() {
+    if (captionRecorder.isRecording()) {
+      captionRecorder.stop()
+      setRecordingState(false)
+      return
+    }
+    if (CaptionRecorder.isAvailable() !== true) {
+      alert('このブラウザでは録画できません。')
+      return
+    }
+    recordingTimestampText = makeTimestampText()
+    try {
+      if (await captionRecorder.start()) {
+        setRecordingState(true)
+      }
+    } catch(err) {
+      log(`error in CaptionRecorder.start(). info=${err}`)
+      alert(`録画開始でエラーが発生しました（${err}）。`)
+    }
+  }
 
   /**
-   * 字幕を更新する。
-   * @param {string} caption 現在の字幕
+   * 録画中かどうかを画面に反映する。
+   * @param {boolean} isRecording 録画中ならtrue
    */
-  function updateCaption(caption) {
-    captionArea.textContent = caption
+  function setRecordingState(isRecording) {
+    recordButton.textContent = isRecording ? '録画停止' : '録画開始'
+    recordingIndicator.style.display = isRecording ? 'block' : 'none'
   }
 
   // ========== ========== 音声認識関連オブジェクト ========== ==========
 
   let clearCaptionTimerId = -1
   const speechLog = new SpeechLog((message) => { log(message) })
+  speechLog.textFilter = (text) => replacementDictionary.apply(text)
+  speechLog.onEntryFinalized = (entry, replaced) => {
+    saveEntryToHistory(entry, replaced)
+    translateEntry(entry)
+  }
   const recognizerOptions = new SpeechRecognizerOptions()
   recognizerOptions.speechLog = speechLog
+  recognizerOptions.lang = config.lang
+  recognizerOptions.micId = config.micId
   recognizerOptions.onLog = (message) => { log(message) }
   recognizerOptions.onCritical = (message) => {
-    alert(`音声認識で重大なエラー（${message}）が発生しました。音声認識対応ブラウザ（PCならChromeやEdge）をご利用ください。`)
+    if (config.engine === 'websocket') {
+      alert(`音声認識で重大なエラー（${message}）が発生しました。音声認識サーバー（${config.engineUrl}）が起動しているか、マイクが使えるかご確認ください。`)
+    } else {
+      alert(`音声認識で重大なエラー（${message}）が発生しました。音声認識対応ブラウザ（PCならChromeやEdge）をご利用ください。`)
+    }
   }
   recognizerOptions.onUpdated = (text) => {
-    updateCaption(text)
+    updateCaptionSegments(speechLog.getCurrentSegments())
     setClearCaptionTimer()
   }
+  recognizerOptions.onStateChanged = (state) => {
+    showRecognizerState(state)
+    updateMicMonitor()
+  }
   const speechRecognizer = new SpeechRecognizer(recognizerOptions)
 
+  /**
+   * 音声認識エンジンを生成する。
+   * @param {'browser' | 'websocket'} engine 音声認識エンジンを示す文字列
+   * @param {string} url ローカルの音声認識サーバーのURL（engineが'websocket'の場合に使う）
+   * @returns {RecognizerBackend} 音声認識エンジン
+   */
+  function createRecognizerBackend(engine, url) {
+    const backend = (engine === 'websocket') ? new WebSocketBackend(url) : new WebSpeechBackend()
+    backend.micId = config.micId
+    return backend
+  }
+
   function setClearCaptionTimer() {
     if (clearCaptionTimerId >= 0) {
       clearTimeout(clearCaptionTimerId)
@@ -1075,7 +7142,11 @@ window.addEventListener('DOMContentLoaded', (ev) => {
    */
   function startSpeechRecognition() {
     updateCaption('') // 最初は待機中という旨が表示されているのでクリア
+    speechLog.beginSession()
+    beginHistorySession()
     speechRecognizer.start()
+    isSpeechRecognitionStarted = true
+    updateMicMonitor()
     // window.setTimeout(() => {
     //   updateCaption('') // 最初は待機中という旨が表示されているのでクリア
     //   speechRecognizer.start()
@@ -1118,7 +7189,7 @@ window.addEventListener('DOMContentLoaded', (ev) => {
    * @return {number} 見つかったカメラの数
    */
   function updateCameraList(deviceInfoList) {
-    const currentCamera = cameraList.value
+    const currentCamera = cameraList.value || config.cameraId
     clearCameraList()
     for (let info of deviceInfoList) {
       if (info.kind !== 'videoinput') { continue }
@@ -1146,25 +7217,39 @@ window.addEventListener('DOMContentLoaded', (ev) => {
    * カメラを取得し、プレビュー表示要素に当てはめるとともに、カメラ一覧を更新する。
    */
   async function setupCamera() {
-    stopAllVideos()
+    stopVideoSource()
+    activeVideoSource = 'camera'
+    updateVideoSourceControls()
 
     const constraints = {
       audio: false,
       video: {
-        facingMode: 'user'
+        facingMode: config.facingMode
       }
     }
 
     const currentCamera = cameraList.value
+    const settings = getCameraSettings()
     // 理由は不明だが、iOS/SafaritとAndroid/Chromeで、縦長時にwidth,heightを指定すると、縦横の寸法が逆の映像になってしまう。
+    // そのため、解像度が指定されていない場合は横長時のみ画面の寸法を指定する。
     const wholeWidth = screen.width
     const wholeHeight = screen.height
-    if (wholeWidth > wholeHeight) {
+    const resolution = /^(\d+)x(\d+)$/.exec(settings.resolution)
+    if (resolution != null) {
+      constraints.video['width'] = { ideal: Number(resolution[1]) }
+      constraints.video['height'] = { ideal: Number(resolution[2]) }
+    } else if (wholeWidth > wholeHeight) {
       constraints.video['width'] = { ideal: wholeWidth }
       constraints.video['height'] = { ideal: wholeHeight }
     }
+    if (isNumber(settings.frameRate) && settings.frameRate > 0) {
+      constraints.video['frameRate'] = { ideal: settings.frameRate }
+    }
     if (currentCamera != null && currentCamera !== '') {
       constraints.video['deviceId'] = { exact : currentCamera }
+    } else if (config.cameraId !== '') {
+      // 保存された（またはURLで指定された）カメラは、見つからなければ他のカメラで代用する
+      constraints.video['deviceId'] = { ideal : config.cameraId }
     }
     log(`Constraints : ${JSON.stringify(constraints)}`)
 
@@ -1175,12 +7260,19 @@ window.addEventListener('DOMContentLoaded', (ev) => {
       const nCam = updateCameraList(devices)
       if (nCam < 1) {
         // カメラがなかった場合（例外になるような気もする）
-        errorOnCameraSetup('カメラが存在しないようです。音声認識は別途試みます。')
+        errorOnCameraSetup('カメラが存在しないようです。音声認識は別途試みます。\n（設定の「映像」で、画面共有などに切り替えられます）')
       }
       cameraArea.srcObject = stream
+      // 実際に使われたカメラを一覧で選び、そのカメラの設定（左右反転、ズーム、ライト）を反映する
+      const track = getCameraTrack()
+      if (track != null && typeof track.getSettings === 'function') {
+        selectCameraIfExists(track.getSettings().deviceId)
+      }
+      updateCameraCapabilities()
+      applyCameraSettings()
     } catch(err) {
       log(`error in getUserMedia. info=${err}`)
-      errorOnCameraSetup(`カメラ初期化でエラーが発生しました（${err}）。\n音声認識は別途試みます。`)
+      errorOnCameraSetup(`カメラ初期化でエラーが発生しました（${err}）。\n音声認識は別途試みます。\n（設定の「映像」で、画面共有などに切り替えられます）`)
     }
   }
 
@@ -1193,6 +7285,211 @@ window.addEventListener('DOMContentLoaded', (ev) => {
     doPostCameraSetup()
   }
 
+  // ========== ========== 映像の選択（カメラ、画面共有、動画ファイル、静止画、単色） ========== ==========
+
+  /** @type {'camera'|'screen'|'file'|'image'|'color'|null} 表示中の映像の種類（起動直後の表示前はnull） */
+  let activeVideoSource = null
+
+  /** @type {string|null} 表示中の動画ファイルまたは静止画のオブジェクトURL（なければnull） */
+  let videoObjectUrl = null
+
+  /** @type {HTMLSelectElement} 映像の種類の選択肢 */
+  const videoSourceSelector = document.getElementById('config-video-source')
+  videoSourceSelector.addEventListener('change', ev => {
+    const source = videoSourceSelector.value
+    if (source === 'file') {
+      // ファイルを選んだ時点で切り替える（選ばなければ元の映像のまま）
+      videoSourceSelector.value = activeVideoSource
+      videoFileInput.click()
+    } else if (source === 'image') {
+      videoSourceSelector.value = activeVideoSource
+      imageFileInput.click()
+    } else if (source === 'screen') {
+      startScreenShare()
+    } else if (setVideoSource(source)) {
+      screenToConfig()
+    }
+  })
+
+  /** @type {HTMLInputElement} 単色の色の選択欄 */
+  const videoColorInput = document.getElementById('config-video-color')
+  videoColorInput.addEventListener('change', ev => {
+    if (setVideoColor(videoColorInput.value)) {
+      screenToConfig()
+    }
+  })
+
+  /** @type {HTMLInputElement} 動画ファイルの選択欄（非表示） */
+  const videoFileInput = document.getElementById('config-video-file')
+  videoFileInput.addEventListener('change', ev => {
+    const file = videoFileInput.files[0]
+    videoFileInput.value = ''
+    if (file == null) return
+    startVideoFile(file)
+  })
+
+  /** @type {HTMLInputElement} 静止画の選択欄（非表示） */
+  const imageFileInput = document.getElementById('config-image-file')
+  imageFileInput.addEventListener('change', ev => {
+    const file = imageFileInput.files[0]
+    imageFileInput.value = ''
+    if (file == null) return
+    startImageFile(file)
+  })
+
+  /**
+   * 保存する映像の種類（カメラ、単色）を設定する（起動後であれば切り替える）。
+   * @param {'camera'|'color'} source 映像の種類
+   * @return {boolean} trueなら設定は有効
+   */
+  function setVideoSource(source) {
+    if (source !== 'camera' && source !== 'color') return false
+    config.videoSource = source
+    // 起動時は設定を記録するだけにする（映像は設定の反映後にstartVideoSourceで表示する）
+    if (activeVideoSource != null && activeVideoSource !== source) {
+      startVideoSource(source)
+    }
+    updateVideoSourceControls()
+    return true
+  }
+
+  /**
+   * 映像を単色にした場合の色を設定する。
+   * @param {string} color 色（#rrggbb形式）
+   * @return {boolean} trueなら設定は有効
+   */
+  function setVideoColor(color) {
+    if (typeof color !== 'string' || /^#[0-9a-fA-F]{6}$/.test(color) !== true) return false
+    config.videoColor = color
+    videoColorInput.value = color
+    updateVideoSourceControls()
+    return true
+  }
+
+  /**
+   * 保存された種類の映像（カメラまたは単色）の表示を開始する。
+   * @param {'camera'|'color'} source 映像の種類
+   */
+  function startVideoSource(source) {
+    if (source === 'color') {
+      showVideoColor()
+    } else {
+      setupCamera()
+    }
+  }
+
+  /**
+   * 映像の種類にあわせて、設定画面の項目と映像の背景色を切り替える。
+   */
+  function updateVideoSourceControls() {
+    const source = activeVideoSource ?? config.videoSource
+    videoSourceSelector.value = source
+    videoColorInput.style.display = (source === 'color') ? '' : 'none'
+    // カメラ以外の映像では、カメラの選択や調整の項目は隠す
+    const cameraDisplay = (source === 'camera') ? '' : 'none'
+    document.getElementById('config-camera-container').style.display = cameraDisplay
+    document.getElementById('config-camera-control-container').style.display = cameraDisplay
+    document.getElementById('config-camera-zoom-container').style.display = cameraDisplay
+    cameraContainer.style.backgroundColor = (activeVideoSource === 'color') ? config.videoColor : ''
+  }
+
+  /**
+   * 表示中の映像を止めて、映像の表示領域を初期状態に戻す。
+   */
+  function stopVideoSource() {
+    stopAllVideos()
+    cameraArea.srcObject = null
+    if (cameraArea.hasAttribute('src')) {
+      cameraArea.removeAttribute('src')
+      cameraArea.load()
+    }
+    cameraArea.loop = false
+    cameraArea.style.display = ''
+    cameraArea.style.transform = ''
+    backgroundImage.style.display = 'none'
+    backgroundImage.removeAttribute('src')
+    if (videoObjectUrl != null) {
+      URL.revokeObjectURL(videoObjectUrl)
+      videoObjectUrl = null
+    }
+  }
+
+  /**
+   * 映像の代わりに単色を表示する。
+   */
+  function showVideoColor() {
+    stopVideoSource()
+    activeVideoSource = 'color'
+    updateVideoSourceControls()
+    cameraArea.style.display = 'none'
+    log(`video source : color ${config.videoColor}`)
+    doPostCameraSetup()
+  }
+
+  /**
+   * 画面（ウィンドウ、タブ）の共有を開始し、映像として表示する。
+   * 共有が止められた場合は、保存された種類の映像に戻す。
+   */
+  async function startScreenShare() {
+    if (navigator.mediaDevices == null || typeof navigator.mediaDevices.getDisplayMedia !== 'function') {
+      alert('このブラウザでは画面共有を使えません。')
+      videoSourceSelector.value = activeVideoSource
+      return
+    }
+    try {
+      const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false })
+      stopVideoSource()
+      activeVideoSource = 'screen'
+      updateVideoSourceControls()
+      cameraArea.srcObject = stream
+      stream.getVideoTracks().forEach(track => {
+        track.addEventListener('ended', ev => {
+          if (cameraArea.srcObject !== stream) return
+          log('screen share ended')
+          startVideoSource(config.videoSource)
+        })
+      })
+      log('video source : screen')
+    } catch(err) {
+      log(`error in getDisplayMedia. info=${err}`)
+      // 共有の取り消しも例外になるので、その場合は何も表示せずに元の映像のまま続ける
+      if (err.name !== 'NotAllowedError') {
+        alert(`画面共有を開始できませんでした（${err}）。`)
+      }
+      videoSourceSelector.value = activeVideoSource
+    }
+  }
+
+  /**
+   * 動画ファイルを繰り返し再生し、映像として表示する（音声は再生しない）。
+   * @param {File} file 動画ファイル
+   */
+  function startVideoFile(file) {
+    stopVideoSource()
+    activeVideoSource = 'file'
+    updateVideoSourceControls()
+    videoObjectUrl = URL.createObjectURL(file)
+    cameraArea.loop = true
+    cameraArea.src = videoObjectUrl
+    log(`video source : file ${file.name}`)
+  }
+
+  /**
+   * 静止画を映像として表示する。
+   * @param {File} file 画像ファイル
+   */
+  function startImageFile(file) {
+    stopVideoSource()
+    activeVideoSource = 'image'
+    updateVideoSourceControls()
+    videoObjectUrl = URL.createObjectURL(file)
+    cameraArea.style.display = 'none'
+    backgroundImage.style.display = 'block'
+    backgroundImage.src = videoObjectUrl
+    log(`video source : image ${file.name}`)
+    doPostCameraSetup()
+  }
+
   // ========== ========== PWA関連 ========== ==========
 
   /**
@@ -1214,11 +7511,17 @@ window.addEventListener('DOMContentLoaded', (ev) => {
 
   // ========== ========== 処理開始 ========== ==========
 
+  /** @type {boolean} カメラ初期化の完了後の処理を済ませていればtrue */
+  let isPostCameraSetupDone = false
+
   /**
    * カメラ初期化の完了後に行うべき処理
    * （ここでは音声認識開始としている。WebView2ではカメラ初期化完了前に開始すると失敗になるため）
+   * 映像を切り替えるたびに呼ばれるので、最初の１回だけ行う。
    */
   function doPostCameraSetup() {
+    if (isPostCameraSetupDone) return
+    isPostCameraSetupDone = true
     prepareSpeechRecognition()
     log(`speech recognition wait : ${WAIT_SPEECH_RECOGNITION}[msec]`)
     window.setTimeout(() => {
@@ -1226,8 +7529,30 @@ window.addEventListener('DOMContentLoaded', (ev) => {
     }, WAIT_SPEECH_RECOGNITION)
   }
 
+  /**
+   * オーバーレイ（配信ソフトのブラウザソース向けに字幕のみを透明背景で表示）として動作を開始する。
+   * カメラは使わない。縁取りと影などはクエリパラメータ（outline、outlineColor、shadowなど）で指定できる。
+   */
+  function startOverlay() {
+    log('start as overlay')
+    document.documentElement.classList.add('overlay')
+    document.body.classList.add('overlay')
+    // カメラの許可を求めずに音声認識を開始する
+    doPostCameraSetup()
+  }
+
   log(`User Agent : ${navigator.userAgent}`)
   setupServiceWorker()
+  if (IS_VIEWER) {
+    startViewer()
+    return
+  }
+  loadDictionary()
+  loadProfiles()
   configToScreen()
-  setupCamera()
+  if (IS_OVERLAY) {
+    startOverlay()
+  } else {
+    startVideoSource(config.videoSource)
+  }
 })
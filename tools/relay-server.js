@@ -0,0 +1,270 @@
+'use strict';
+
+/*
+ ========== ========== ========== ========== ========== ==========
+ CaptionCam 字幕中継サーバー（Node.jsのみで動作、追加パッケージ不要）
+
+ 使い方：node tools/relay-server.js [ポート番号（省略時8080）]
+ - WebSocketで受信したテキストメッセージを、送信元以外の全接続に転送する。
+ - 同じポートでCaptionCam本体のファイルも配信する（同じLAN内のタブレット等は
+   http://<このPCのアドレス>:8080/index.html?relay=ws://<このPCのアドレス>:8080#viewer
+   を開けばビューアーとして字幕を表示できる）。
+ ========== ========== ========== ========== ========== ==========
+*/
+
+const http = require('http')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const PORT = Number(process.argv[2]) || 8080
+const ROOT = path.resolve(__dirname, '..')
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+/** @type {number} 受け付けるメッセージの最大バイト数（字幕には十分な大きさ。超えたら切断する） */
+const MAX_MESSAGE_SIZE = 64 * 1024
+
+/** @type {Object<string,string>} 拡張子ごとのContent-Type */
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+}
+
+/** @type {Set<string>} 配信するCaptionCam本体のファイル（これ以外は同じフォルダにあっても配信しない） */
+const SERVED_FILES = new Set([
+  'index.html',
+  'app.js',
+  'style.css',
+  'sw.js',
+  'manifest.json',
+  'favicon.ico',
+  'icon-192x192.png',
+  'icon-512x512.png',
+  'apple-touch-icon.png'
+])
+
+/** @type {Set<import('net').Socket>} 接続中のWebSocketクライアント */
+const clients = new Set()
+
+/**
+ * ログを出力する。
+ * @param {string} message ログメッセージ
+ */
+function log(message) {
+  console.log(new Date().toISOString() + ' ' + message)
+}
+
+/**
+ * WebSocketのフレームを作る（サーバーからの送信はマスクなし）。
+ * @param {number} opcode フレーム種別（1:テキスト、8:切断、10:pong）
+ * @param {Buffer} payload 送信データ
+ * @returns {Buffer} フレーム
+ */
+function makeFrame(opcode, payload) {
+  let header
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length])
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4)
+    header[0] = 0x80 | opcode
+    header[1] = 126
+    header.writeUInt16BE(payload.length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x80 | opcode
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(payload.length), 2)
+  }
+  return Buffer.concat([header, payload])
+}
+
+/**
+ * 受信バッファから完全なフレームを１つ取り出す。
+ * マスクのないフレーム（クライアントからは必ずマスクされる）と、大きすぎるフレームは、届ききる前に例外にする。
+ * @param {Buffer} buffer 受信バッファ
+ * @returns {{fin:boolean, opcode:number, payload:Buffer, length:number} | null} フレーム（不完全ならnull）
+ * @throws {Error} 受け付けられないフレームの場合
+ */
+function parseFrame(buffer) {
+  if (buffer.length < 2) return null
+  const fin = (buffer[0] & 0x80) !== 0
+  const opcode = buffer[0] & 0x0f
+  const masked = (buffer[1] & 0x80) !== 0
+  let length = buffer[1] & 0x7f
+  let offset = 2
+  if (length === 126) {
+    if (buffer.length < 4) return null
+    length = buffer.readUInt16BE(2)
+    offset = 4
+  } else if (length === 127) {
+    if (buffer.length < 10) return null
+    length = Number(buffer.readBigUInt64BE(2))
+    offset = 10
+  }
+  if (masked !== true) {
+    throw new Error('unmasked frame')
+  }
+  if (length > MAX_MESSAGE_SIZE) {
+    throw new Error(`frame too large (${length} bytes)`)
+  }
+  if (buffer.length < offset + 4 + length) return null
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length))
+  const mask = buffer.subarray(offset, offset + 4)
+  for (let ix=0 ; ix<payload.length ; ix++) {
+    payload[ix] ^= mask[ix % 4]
+  }
+  return { fin: fin, opcode: opcode, payload: payload, length: offset + 4 + length }
+}
+
+/**
+ * テキストメッセージを送信元以外の全クライアントに転送する。
+ * @param {import('net').Socket} sender 送信元
+ * @param {Buffer} payload テキストメッセージ
+ */
+function relay(sender, payload) {
+  const frame = makeFrame(1, payload)
+  clients.forEach(client => {
+    if (client !== sender && client.writable) {
+      client.write(frame)
+    }
+  })
+}
+
+/**
+ * 接続要求が、このサーバーが配信したページ（またはブラウザ以外）からのものか判定する。
+ * ブラウザは接続元ページのOriginを必ず送るので、LAN内で開かれた無関係のページから字幕を読み書きされないようにする。
+ * @param {http.IncomingMessage} req 接続要求
+ * @returns {boolean} 受け付けてよいならtrue
+ */
+function isAllowedOrigin(req) {
+  const origin = req.headers['origin']
+  if (origin == null) return true
+  try {
+    return new URL(origin).host === req.headers['host']
+  } catch(err) {
+    return false
+  }
+}
+
+/**
+ * WebSocket接続を受け付ける。
+ * @param {http.IncomingMessage} req 接続要求
+ * @param {import('net').Socket} socket 接続
+ */
+function acceptWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key']
+  if (key == null) {
+    socket.destroy()
+    return
+  }
+  if (isAllowedOrigin(req) !== true) {
+    log(`rejected : ${req.socket.remoteAddress} (origin=${req.headers['origin']})`)
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n')
+    return
+  }
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64')
+  socket.write('HTTP/1.1 101 Switching Protocols\r\n'
+    + 'Upgrade: websocket\r\n'
+    + 'Connection: Upgrade\r\n'
+    + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`)
+  clients.add(socket)
+  log(`connected : ${req.socket.remoteAddress} (clients=${clients.size})`)
+
+  let buffer = Buffer.alloc(0)
+  /** @type {Array<Buffer>} 分割されたメッセージの断片 */
+  let fragments = []
+  /** @type {number} 分割されたメッセージの断片の合計バイト数 */
+  let fragmentsSize = 0
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data])
+    let frame
+    while (true) {
+      try {
+        frame = parseFrame(buffer)
+      } catch(err) {
+        log(`bad frame : ${req.socket.remoteAddress} (${err.message})`)
+        socket.destroy()
+        return
+      }
+      if (frame == null) break
+      buffer = buffer.subarray(frame.length)
+      if (frame.opcode === 8) {
+        socket.end(makeFrame(8, Buffer.alloc(0)))
+        return
+      } else if (frame.opcode === 9) {
+        socket.write(makeFrame(10, frame.payload))
+      } else if (frame.opcode === 1 || frame.opcode === 0) {
+        fragments.push(frame.payload)
+        fragmentsSize += frame.payload.length
+        if (fragmentsSize > MAX_MESSAGE_SIZE) {
+          log(`bad frame : ${req.socket.remoteAddress} (message too large)`)
+          socket.destroy()
+          return
+        }
+        if (frame.fin) {
+          relay(socket, Buffer.concat(fragments))
+          fragments = []
+          fragmentsSize = 0
+        }
+      }
+    }
+  })
+  const remove = () => {
+    if (clients.delete(socket)) {
+      log(`disconnected : ${req.socket.remoteAddress} (clients=${clients.size})`)
+    }
+  }
+  socket.on('close', remove)
+  socket.on('error', remove)
+}
+
+/**
+ * 要求されたパスを配信するファイル名に変換する。
+ * LAN内の誰からでも接続できるので、CaptionCam本体のファイル以外（.gitや、フォルダの外など）は配信しない。
+ * @param {string} urlPath URLのパス部分（デコード済み）
+ * @returns {string | null} 配信するファイル名（配信しないならnull）
+ */
+function toServedFileName(urlPath) {
+  if (urlPath === '/') return 'index.html'
+  const name = urlPath.substring(1)
+  return SERVED_FILES.has(name) ? name : null
+}
+
+const server = http.createServer((req, res) => {
+  // CaptionCam本体のファイルを配信する
+  let urlPath
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname)
+  } catch(err) {
+    // 不正なURL（%の後が16進数でないなど）で中継サーバー全体が止まらないようにする
+    log(`bad request : ${req.url} (${err})`)
+    res.writeHead(400)
+    res.end()
+    return
+  }
+  const fileName = toServedFileName(urlPath)
+  if (fileName == null) {
+    res.writeHead(404)
+    res.end()
+    return
+  }
+  const filePath = path.join(ROOT, fileName)
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      res.writeHead(404)
+      res.end()
+      return
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' })
+    res.end(data)
+  })
+})
+server.on('upgrade', (req, socket) => {
+  acceptWebSocket(req, socket)
+})
+server.listen(PORT, () => {
+  log(`CaptionCam relay server : http://localhost:${PORT}/ (WebSocket ws://localhost:${PORT}/)`)
+})